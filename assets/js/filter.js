@@ -0,0 +1,206 @@
+/**
+ * Filter
+ * Card filtering for the collection grids: tag chips (tech tags, genres, skills, skill categories),
+ * free-text search and platforms, plus sort order and grid/timeline/CV view, kept in the URL query as
+ * ?tag=Unity&genre=Puzzle&skill=csharp&category=platforms&platform=mobile&q=network&sort=newest&view=timeline
+ */
+
+const FILTER_PLATFORMS = ['mobile', 'pc', 'web'];
+const FILTER_SORTS = ['default', 'newest', 'longest', 'featured'];
+const FILTER_VIEWS = ['grid', 'timeline', 'cv'];
+
+// Platforms implied by store links and tech tags, for items without a `platforms` field
+const FILTER_PLATFORM_HINTS = {
+    mobile: { icons: ['apple', 'app-store', 'google-play', 'android'], tags: ['mobile', 'android', 'ios'] },
+    pc: { icons: ['steam', 'windows'], tags: ['pc', 'windows'] },
+    web: { icons: [], tags: ['web', 'webgl', 'browser'] }
+};
+
+// Filter fields and their (repeatable) query parameters
+const FILTER_PARAMS = { tags: 'tag', genres: 'genre', skills: 'skill', categories: 'category', platforms: 'platform' };
+
+/**
+ * Empty filter (matches everything, data order, card grid)
+ * @returns {{tags: string[], genres: string[], skills: string[], categories: string[], platforms: string[], query: string, sort: string, view: string}}
+ */
+function createFilter() {
+    return { tags: [], genres: [], skills: [], categories: [], platforms: [], query: '', sort: 'default', view: 'grid' };
+}
+
+/**
+ * Whether a filter hides anything (sort and view don't)
+ */
+function isFilterActive(filter) {
+    return Object.keys(FILTER_PARAMS).some(field => filter[field].length > 0) || filter.query.trim() !== '';
+}
+
+/**
+ * Read a filter from a query string (location.search)
+ */
+function parseFilter(search) {
+    const params = new URLSearchParams(search);
+    const filter = createFilter();
+
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        filter[field] = [...new Set(params.getAll(param).map(value => value.trim()).filter(Boolean))];
+    });
+    filter.platforms = filter.platforms.map(value => value.toLowerCase()).filter(value => FILTER_PLATFORMS.includes(value));
+    filter.query = params.get('q') || '';
+    if (FILTER_SORTS.includes(params.get('sort'))) filter.sort = params.get('sort');
+    if (FILTER_VIEWS.includes(params.get('view'))) filter.view = params.get('view');
+
+    return filter;
+}
+
+/**
+ * Write a filter into a query string, keeping unrelated parameters (e.g. lang)
+ * @returns {string} Query string with leading "?", or '' when empty
+ */
+function formatFilterQuery(filter, search) {
+    const params = new URLSearchParams(search);
+
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        params.delete(param);
+        filter[field].forEach(value => params.append(param, value));
+    });
+    params.delete('q');
+    if (filter.query.trim()) params.set('q', filter.query.trim());
+
+    // Defaults are left out of the URL
+    params.delete('sort');
+    if (filter.sort !== 'default') params.set('sort', filter.sort);
+    params.delete('view');
+    if (filter.view !== 'grid') params.set('view', filter.view);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Split a combined genre like "MMO / Sandbox" into its parts
+ */
+function splitGenre(genre) {
+    return typeof genre === 'string' ? genre.split('/').map(part => part.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Platforms of an item: its `platforms` field, else inferred from store links and tech tags
+ */
+function getItemPlatforms(item) {
+    if (Array.isArray(item.platforms)) return item.platforms;
+
+    const icons = (item.links || []).map(link => String(link.icon || '').toLowerCase());
+    const tags = (item.techTags || []).map(tag => tag.toLowerCase());
+
+    return FILTER_PLATFORMS.filter(platform => {
+        const hints = FILTER_PLATFORM_HINTS[platform];
+        return hints.icons.some(icon => icons.includes(icon)) || hints.tags.some(tag => tags.includes(tag));
+    });
+}
+
+/**
+ * Index the tech tags each skill stands for (its `tags`, else its name)
+ * @param {Array<Object>} skills
+ * @returns {{tags: Map<string, string[]>, categories: Map<string, string>}}
+ *   Skill id → lower-cased tech tags, and lower-cased tech tag → skill category
+ */
+function buildSkillIndex(skills) {
+    const index = { tags: new Map(), categories: new Map() };
+
+    (skills || []).forEach(skill => {
+        const tags = (Array.isArray(skill.tags) ? skill.tags : [skill.name])
+            .filter(tag => typeof tag === 'string' && tag)
+            .map(tag => tag.toLowerCase());
+        if (skill.id) index.tags.set(skill.id, tags);
+        if (skill.category) tags.forEach(tag => index.categories.set(tag, skill.category));
+    });
+
+    return index;
+}
+
+/**
+ * Whether an item uses a skill (one of its tech tags stands for the skill)
+ */
+function itemHasSkill(item, skillId, skillIndex) {
+    const skillTags = skillIndex.tags.get(skillId) || [];
+    return (item.techTags || []).some(tag => skillTags.includes(tag.toLowerCase()));
+}
+
+/**
+ * Skill categories of an item, through tech tags that stand for a skill
+ * @param {Object} item
+ * @param {{categories: Map<string, string>}} skillIndex - From buildSkillIndex
+ */
+function getItemCategories(item, skillIndex) {
+    const categories = (item.techTags || []).map(tag => skillIndex.categories.get(tag.toLowerCase())).filter(Boolean);
+    return [...new Set(categories)];
+}
+
+/**
+ * Whether an item matches every part of a filter
+ * (all selected chips and platforms, and every word of the search)
+ */
+function matchesFilter(item, filter, skillIndex) {
+    const tags = item.techTags || [];
+    if (!filter.tags.every(tag => tags.includes(tag))) return false;
+
+    const genres = splitGenre(item.genre);
+    if (!filter.genres.every(genre => genres.includes(genre))) return false;
+
+    if (!filter.skills.every(skill => itemHasSkill(item, skill, skillIndex))) return false;
+
+    const categories = getItemCategories(item, skillIndex);
+    if (!filter.categories.every(category => categories.includes(category))) return false;
+
+    // Platforms are alternatives: "Mobile + PC" shows items available on either
+    const platforms = getItemPlatforms(item);
+    if (filter.platforms.length > 0 && !filter.platforms.some(platform => platforms.includes(platform))) return false;
+
+    const words = filter.query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+        const contribution = Array.isArray(item.contribution) ? item.contribution.join(' ') : item.contribution;
+        const text = [item.title, item.description, contribution].filter(Boolean).join(' ').toLocaleLowerCase();
+        if (!words.every(word => text.includes(word))) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Chip values available across item lists, most common first
+ * @param {Array<Object>} items - Items of every filtered collection
+ * @param {Object} skillIndex - From buildSkillIndex
+ * @returns {{tags: string[], genres: string[], categories: string[]}}
+ */
+function collectFilterOptions(items, skillIndex) {
+    const rank = values => {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    };
+
+    return {
+        tags: rank(items.flatMap(item => item.techTags || [])),
+        genres: rank(items.flatMap(item => splitGenre(item.genre))),
+        categories: rank(items.flatMap(item => getItemCategories(item, skillIndex)))
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FILTER_PLATFORMS,
+        FILTER_SORTS,
+        FILTER_VIEWS,
+        createFilter,
+        isFilterActive,
+        parseFilter,
+        formatFilterQuery,
+        splitGenre,
+        getItemPlatforms,
+        buildSkillIndex,
+        itemHasSkill,
+        getItemCategories,
+        matchesFilter,
+        collectFilterOptions
+    };
+}
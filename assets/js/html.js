@@ -0,0 +1,90 @@
+/**
+ * Safe HTML Templating
+ * Tagged template helper that escapes every interpolated value by context:
+ * text and attribute values are HTML-escaped, URL attributes (href, src, ...)
+ * are additionally restricted to allowlisted schemes
+ */
+
+/**
+ * Marker for markup that is already safe and must not be escaped again
+ */
+class SafeHTML {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Schemes allowed in URL attributes; relative URLs are always allowed
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Attributes whose values are URLs
+const URL_ATTRIBUTE_PATTERN = /\s(?:href|src|poster|action|formaction|xlink:href)\s*=\s*["']?$/i;
+
+/**
+ * Escape text for use in element content or a quoted attribute value
+ */
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Return the URL if its scheme is allowlisted (or it is relative), otherwise '#'
+ */
+function sanitizeUrl(url) {
+    const value = String(url ?? '').trim();
+
+    // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+    const scheme = value.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+        return value;
+    }
+
+    console.warn(`⚠️ Blocked unsafe URL: ${value}`);
+    return '#';
+}
+
+/**
+ * Mark a trusted markup string as safe (use only for markup owned by the code, never for data)
+ */
+function rawHTML(value) {
+    return new SafeHTML(String(value ?? ''));
+}
+
+/**
+ * Convert one interpolated value to markup
+ */
+function renderValue(value, isUrl) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(item => renderValue(item, isUrl)).join('');
+    return escapeHTML(isUrl ? sanitizeUrl(value) : value);
+}
+
+/**
+ * Tagged template: html`<a href="${url}">${text}</a>`
+ * Nested html`` results and arrays of them are inserted as markup;
+ * null, undefined and false render as nothing
+ * @returns {SafeHTML}
+ */
+function html(strings, ...values) {
+    let result = strings[0];
+
+    values.forEach((value, index) => {
+        result += renderValue(value, URL_ATTRIBUTE_PATTERN.test(strings[index])) + strings[index + 1];
+    });
+
+    return new SafeHTML(result);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHTML, escapeHTML, sanitizeUrl, rawHTML, html };
+}
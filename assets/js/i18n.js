@@ -0,0 +1,108 @@
+/**
+ * String Catalog
+ * UI string lookup for data/i18n/<lang>.json catalogs with interpolation,
+ * plural forms and missing-key detection
+ */
+
+class StringCatalog {
+    /**
+     * @param {string} language - Language the catalog is rendered in
+     * @param {Array<{language: string, strings: Object}>} catalogs - Catalogs in fallback order (current language first)
+     * @param {Object} [options]
+     * @param {boolean} [options.showMissing] - Render missing keys visibly as ⟦key⟧ instead of falling back silently
+     */
+    constructor(language, catalogs = [], options = {}) {
+        this.language = language;
+        this.catalogs = catalogs;
+        this.showMissing = Boolean(options.showMissing);
+        this.missingKeys = new Set();
+        this.pluralRules = typeof Intl !== 'undefined' ? new Intl.PluralRules(language) : null;
+    }
+
+    /**
+     * Resolve a dotted key (e.g. 'nav.about') inside one catalog
+     */
+    static lookup(strings, key) {
+        return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), strings);
+    }
+
+    /**
+     * Translate a key
+     * @param {string} key - Dotted key, e.g. 'sections.skills'
+     * @param {Object} [params] - Interpolation values for {name} placeholders; `count` selects the plural form
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        let value;
+        let pluralLanguage = this.language;
+
+        for (const catalog of this.catalogs) {
+            value = StringCatalog.lookup(catalog.strings, key);
+            if (value !== undefined) {
+                pluralLanguage = catalog.language;
+                if (catalog.language !== this.language) this.reportMissing(key, catalog.language);
+                break;
+            }
+        }
+
+        if (value === undefined) {
+            this.reportMissing(key, null);
+            return this.showMissing ? `⟦${key}⟧` : key;
+        }
+
+        if (value !== null && typeof value === 'object') {
+            value = this.selectPlural(value, params.count, pluralLanguage);
+            if (value === undefined) {
+                this.reportMissing(key, null);
+                return this.showMissing ? `⟦${key}⟧` : key;
+            }
+        }
+
+        if (this.showMissing && this.missingKeys.has(key)) {
+            return `⟦${this.interpolate(String(value), params)}⟧`;
+        }
+
+        return this.interpolate(String(value), params);
+    }
+
+    /**
+     * Pick plural form ({ one, few, many, other, ... }) for a count
+     */
+    selectPlural(forms, count, language) {
+        if (typeof count !== 'number') return forms.other;
+
+        // Exact-count forms like "0" take priority over CLDR categories
+        if (forms[String(count)] !== undefined) return forms[String(count)];
+
+        const rules = language === this.language ? this.pluralRules : new Intl.PluralRules(language);
+        const category = rules ? rules.select(count) : (count === 1 ? 'one' : 'other');
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    /**
+     * Replace {name} placeholders with params values
+     */
+    interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? String(params[name]) : match
+        ));
+    }
+
+    /**
+     * Record and log a key that is missing in the current language
+     */
+    reportMissing(key, foundIn) {
+        if (this.missingKeys.has(key)) return;
+        this.missingKeys.add(key);
+
+        if (foundIn) {
+            console.warn(`⚠️ Missing translation "${key}" for ${this.language} (using ${foundIn})`);
+        } else {
+            console.warn(`⚠️ Missing translation "${key}" for ${this.language} (no fallback)`);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StringCatalog;
+}
@@ -0,0 +1,131 @@
+/**
+ * Responsive Images
+ * <picture> markup with AVIF / WebP sources, srcset, intrinsic size, native lazy loading and a
+ * blurred placeholder, from the variants listed in images/responsive/manifest.json (written by
+ * scripts/build-images.js). Images without variants render as a plain lazy <img>.
+ * Depends on html.js.
+ *
+ * Manifest entry, keyed by the original path ("images/thumbs/erz_full.png"):
+ * { width, height, placeholder: "data:image/webp;base64,...", sources: { avif: [{ src, width }], webp: [...], png: [...] } }
+ * Pre-rendered pages also pass entries with only { width, height } for images without variants.
+ */
+
+// Modern formats, in order of preference; the original format is the <img> fallback
+const RESPONSIVE_IMAGE_FORMATS = ['avif', 'webp'];
+
+const IMAGE_MIME_TYPES = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg'
+};
+
+// One-pixel images, to find out which modern formats the browser decodes
+const IMAGE_FORMAT_PROBES = {
+    avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+    webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+};
+
+/**
+ * Extension of an image path, lower-cased ("png")
+ */
+function getImageExtension(src) {
+    return (String(src).match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+}
+
+/**
+ * srcset attribute value of a list of variants
+ */
+function formatSrcset(variants, resolveUrl = src => src) {
+    return variants.map(variant => `${resolveUrl(variant.src)} ${variant.width}w`).join(', ');
+}
+
+/**
+ * Render an image with its responsive variants
+ * @param {string} src - Original path (images/thumbs/erz_full.png)
+ * @param {?Object} entry - The image's manifest entry (or just its size), if it has one
+ * @param {Object} options
+ * @param {string} options.alt
+ * @param {string} [options.className] - Class of the <img>
+ * @param {string} [options.sizes='100vw'] - Displayed width, for picking from the srcset
+ * @param {boolean} [options.eager] - Load right away (above the fold) instead of lazily
+ * @param {SafeHTML} [options.attributes] - Further <img> attributes (data-*)
+ * @param {Function} [options.resolveUrl] - Maps a path relative to the site root to its URL from the page
+ * @returns {SafeHTML}
+ */
+function renderResponsiveImage(src, entry, options) {
+    const { alt, className, sizes = '100vw', eager = false, attributes = '', resolveUrl = path => path } = options;
+    const loading = eager ? 'eager' : 'lazy';
+
+    // No variants: the original file, with its intrinsic size when known
+    if (!entry?.sources) {
+        const size = entry ? html` width="${entry.width}" height="${entry.height}"` : '';
+        return html`<img src="${resolveUrl(src)}" alt="${alt}"${className ? html` class="${className}"` : ''}${size} loading="${loading}" decoding="async"${attributes ? html` ${attributes}` : ''}>`;
+    }
+
+    const sources = entry.sources || {};
+    const fallback = sources[getImageExtension(src)] || [];
+    const classes = [className, entry.placeholder ? 'has-placeholder' : ''].filter(Boolean).join(' ');
+
+    return html`
+        <picture>
+            ${RESPONSIVE_IMAGE_FORMATS.filter(format => sources[format]?.length > 0).map(format => html`
+                <source type="${IMAGE_MIME_TYPES[format]}" srcset="${formatSrcset(sources[format], resolveUrl)}" sizes="${sizes}">
+            `)}
+            <img
+                src="${resolveUrl(src)}"
+                ${fallback.length > 0 ? html`srcset="${formatSrcset(fallback, resolveUrl)}" sizes="${sizes}"` : ''}
+                width="${entry.width}"
+                height="${entry.height}"
+                alt="${alt}"
+                ${classes ? html`class="${classes}"` : ''}
+                ${entry.placeholder ? html`style="background-image: url('${entry.placeholder}')"` : ''}
+                loading="${loading}"
+                decoding="async"
+                ${attributes}
+            >
+        </picture>
+    `;
+}
+
+/**
+ * Best variant of an image for a display width: in the first of the formats it has, the
+ * narrowest variant at least that wide (else the widest one)
+ * @param {?Object} entry - Manifest entry
+ * @param {string[]} formats - Formats in order of preference
+ * @param {number} width - Display width in device pixels
+ * @returns {?{src: string, width: number}}
+ */
+function pickImageVariant(entry, formats, width) {
+    const format = formats.find(candidate => entry?.sources?.[candidate]?.length > 0);
+    if (!format) return null;
+
+    const variants = [...entry.sources[format]].sort((a, b) => a.width - b.width);
+    return variants.find(variant => variant.width >= width) || variants[variants.length - 1];
+}
+
+/**
+ * Modern formats the browser can decode, in order of preference
+ * @returns {Promise<string[]>}
+ */
+function detectImageFormats() {
+    return Promise.all(RESPONSIVE_IMAGE_FORMATS.map(format => new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => resolve(image.width > 0 ? format : null);
+        image.onerror = () => resolve(null);
+        image.src = IMAGE_FORMAT_PROBES[format];
+    }))).then(formats => formats.filter(Boolean));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RESPONSIVE_IMAGE_FORMATS,
+        IMAGE_MIME_TYPES,
+        getImageExtension,
+        formatSrcset,
+        renderResponsiveImage,
+        pickImageVariant,
+        detectImageFormats
+    };
+}
@@ -0,0 +1,128 @@
+/**
+ * Asset Checker
+ * Matches the files the data refers to (images, posters, videos; resolved per language by
+ * ModernPortfolioManager.getAssetReferences) against the files on disk, and reports missing
+ * files, files that exist under another extension and files nothing refers to.
+ * Shared by debug.html and scripts/check-assets.js.
+ */
+
+class AssetChecker {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.ignore] - Path prefixes never reported as unreferenced (generated files)
+     */
+    constructor(options = {}) {
+        this.ignore = options.ignore || AssetChecker.IGNORED_PATHS;
+    }
+
+    // Extensions tried when a referenced file is missing
+    static EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'svg', 'mp4', 'webm'];
+
+    // Generated by scripts/build-images.js, referenced through its manifest
+    static IGNORED_PATHS = ['images/responsive/'];
+
+    /**
+     * Check the references of every language against the existing files
+     * @param {Array<{language: string, path: string, source: string}>} references
+     * @param {string[]} files - Existing asset files, relative to the site root
+     * @param {Object} [options]
+     * @param {boolean} [options.complete=true] - `files` lists every asset; false when it only holds the
+     *        files found by probing (the browser can't list directories), so nothing is reported as unreferenced
+     * @returns {{missing: Array, wrongExtension: Array, unreferenced: ?string[]}}
+     */
+    check(references, files, options = {}) {
+        const { complete = true } = options;
+        const existing = new Set(files);
+        const report = { missing: [], wrongExtension: [], unreferenced: complete ? [] : null };
+
+        AssetChecker.groupByPath(references).forEach(reference => {
+            if (existing.has(reference.path)) return;
+
+            const found = AssetChecker.getAlternatives(reference.path).filter(path => existing.has(path));
+            if (found.length > 0) {
+                report.wrongExtension.push({ ...reference, found });
+            } else {
+                report.missing.push(reference);
+            }
+        });
+
+        if (complete) {
+            const referenced = new Set(references.map(reference => reference.path));
+            report.unreferenced = files
+                .filter(file => !referenced.has(file) && !this.ignore.some(prefix => file.startsWith(prefix)))
+                .sort();
+        }
+
+        return report;
+    }
+
+    /**
+     * One entry per path, with every place and language that refers to it
+     */
+    static groupByPath(references) {
+        const groups = new Map();
+
+        references.forEach(({ language, path, source }) => {
+            if (!groups.has(path)) {
+                groups.set(path, { path, sources: [], languages: [] });
+            }
+            const group = groups.get(path);
+            if (!group.sources.includes(source)) group.sources.push(source);
+            if (!group.languages.includes(language)) group.languages.push(language);
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * The same path with every other known extension
+     */
+    static getAlternatives(path) {
+        const match = path.match(/^(.*)\.([a-z0-9]+)$/i);
+        if (!match) return [];
+
+        const [, base, extension] = match;
+        return AssetChecker.EXTENSIONS
+            .filter(candidate => candidate !== extension.toLowerCase())
+            .map(candidate => `${base}.${candidate}`);
+    }
+
+    /**
+     * Human-readable lines for a report
+     */
+    static formatReport(report) {
+        const where = entry => `${entry.sources.join(', ')} — ${entry.languages.join(', ')}`;
+        const lines = [];
+
+        report.missing.forEach(entry => {
+            lines.push(`❌ Missing: ${entry.path} (${where(entry)})`);
+        });
+        report.wrongExtension.forEach(entry => {
+            lines.push(`❌ Wrong extension: ${entry.path}, found ${entry.found.join(', ')} (${where(entry)})`);
+        });
+        (report.unreferenced || []).forEach(path => {
+            lines.push(`⚠️ Unreferenced: ${path}`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * One-line summary of a report
+     */
+    static formatSummary(report) {
+        const unreferenced = report.unreferenced ? `, ${report.unreferenced.length} unreferenced` : '';
+        return `${report.missing.length} missing, ${report.wrongExtension.length} wrong extension${unreferenced}`;
+    }
+
+    /**
+     * Whether the report contains errors (unreferenced files are only a warning)
+     */
+    static hasErrors(report) {
+        return report.missing.length > 0 || report.wrongExtension.length > 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssetChecker;
+}
@@ -0,0 +1,122 @@
+/**
+ * Image Loader
+ * Loads the full-size images of the gallery modal. Each image tries its files in order
+ * (responsive variant, original, thumbnail); a load already in flight is shared, so a prefetched
+ * neighbour isn't requested twice; loaded images are kept in a bounded cache (the least recently
+ * shown one goes first), so stepping back and forth is instant. Loads nobody needs any more
+ * can be cancelled. Failures aren't cached, so loading again retries.
+ */
+
+class ImageLoader {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=24] - Loaded images to keep
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 24;
+        this.loaded = new Map(); // Loaded images by key ({ src, image }), least recently used first
+        this.loading = new Map(); // Loads in flight by key ({ promise, cancel })
+    }
+
+    /**
+     * Load an image from the first of its files that works
+     * @param {string[]} candidates - Files to try in order; the first one is the image's key
+     * @returns {Promise<string>} The file that loaded; rejects when none did, or with an AbortError when cancelled
+     */
+    load(candidates) {
+        const key = candidates[0];
+
+        if (this.loaded.has(key)) {
+            const entry = this.loaded.get(key);
+            this.remember(key, entry);
+            return Promise.resolve(entry.src);
+        }
+        if (this.loading.has(key)) return this.loading.get(key).promise;
+
+        const image = new Image();
+        const remaining = [...candidates];
+        const entry = {};
+
+        entry.promise = new Promise((resolve, reject) => {
+            entry.cancel = () => {
+                image.onload = null;
+                image.onerror = null;
+                image.src = ''; // Stops the download
+                reject(ImageLoader.createAbortError(key));
+            };
+            image.onload = () => resolve(remaining[0]);
+            image.onerror = () => {
+                remaining.shift();
+                if (remaining.length > 0) {
+                    image.src = remaining[0];
+                } else {
+                    reject(new Error(`Failed to load image: ${key}`));
+                }
+            };
+            image.src = remaining[0];
+        }).then(src => {
+            this.remember(key, { src, image });
+            return src;
+        }).finally(() => {
+            if (this.loading.get(key) === entry) this.loading.delete(key);
+        });
+
+        this.loading.set(key, entry);
+        return entry.promise;
+    }
+
+    /**
+     * Start loading an image nobody waits for yet (errors are left for load() to report)
+     */
+    prefetch(candidates) {
+        this.load(candidates).catch(() => {});
+    }
+
+    /**
+     * Whether an image is loaded, so it can be shown without a loading state
+     */
+    isLoaded(candidates) {
+        return this.loaded.has(candidates[0]);
+    }
+
+    /**
+     * Cancel every load in flight except those of the given images
+     * @param {string[]} keys - Keys (first candidates) of the images still needed
+     */
+    cancelExcept(keys) {
+        this.loading.forEach((entry, key) => {
+            if (keys.includes(key)) return;
+            this.loading.delete(key);
+            entry.cancel();
+        });
+    }
+
+    /**
+     * Mark an image as the most recently used, dropping the oldest past the limit
+     */
+    remember(key, entry) {
+        this.loaded.delete(key);
+        this.loaded.set(key, entry);
+
+        while (this.loaded.size > this.maxEntries) {
+            this.loaded.delete(this.loaded.keys().next().value);
+        }
+    }
+
+    static createAbortError(key) {
+        const error = new Error(`Cancelled loading image: ${key}`);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Whether a load failed because it was cancelled
+     */
+    static isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageLoader;
+}
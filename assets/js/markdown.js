@@ -0,0 +1,199 @@
+/**
+ * Markdown
+ * Renders a small Markdown subset through the html`` tag, so all text is escaped
+ * and link targets go through sanitizeUrl(). Depends on html.js.
+ *
+ * Blocks: # headings, paragraphs, - / * / 1. lists, > quotes, ``` code fences,
+ *         images on their own line (local paths only, nothing is fetched from other hosts)
+ * Inline: **bold**, *italic* / _italic_, `code`, [links](url)
+ *
+ * Used for every prose field (about, descriptions, contributions, achievements, case studies);
+ * markdownToText() gives the plain text for meta tags, markdownImages() the local images.
+ */
+
+const MARKDOWN_INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![\p{L}\p{N}_])_([^_]+)_(?![\p{L}\p{N}_])|!\[([^\]]*)\]\([^)\s]+\)|\[([^\]]+)\]\(([^)\s]+)\)/gu;
+const MARKDOWN_IMAGE_PATTERN = /^!\[([^\]]*)\]\(([^)\s]+)\)$/;
+const MARKDOWN_LIST_PATTERN = /^\s*([-*]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*$/;
+
+/**
+ * Render inline formatting (no block elements)
+ * @returns {SafeHTML}
+ */
+function renderInlineMarkdown(text) {
+    const parts = [];
+    let lastIndex = 0;
+
+    String(text ?? '').replace(MARKDOWN_INLINE_PATTERN, (match, code, bold, italic, underscored, imageAlt, linkText, linkUrl, offset, source) => {
+        parts.push(source.slice(lastIndex, offset));
+        lastIndex = offset + match.length;
+
+        if (code !== undefined) {
+            parts.push(html`<code>${code}</code>`);
+        } else if (bold !== undefined) {
+            parts.push(html`<strong>${renderInlineMarkdown(bold)}</strong>`);
+        } else if (italic !== undefined || underscored !== undefined) {
+            parts.push(html`<em>${renderInlineMarkdown(italic ?? underscored)}</em>`);
+        } else if (imageAlt !== undefined) {
+            // Images inside text are not loaded, only their alt text is kept
+            parts.push(imageAlt);
+        } else if (linkUrl !== '#' && sanitizeUrl(linkUrl) === '#') {
+            // A blocked scheme (javascript:, data:) leaves only the link text
+            parts.push(renderInlineMarkdown(linkText));
+        } else {
+            // In-page links stay in the tab, everything else opens a new one
+            parts.push(linkUrl.startsWith('#')
+                ? html`<a href="${linkUrl}">${renderInlineMarkdown(linkText)}</a>`
+                : html`<a href="${linkUrl}" target="_blank" rel="noopener noreferrer">${renderInlineMarkdown(linkText)}</a>`);
+        }
+        return match;
+    });
+
+    parts.push(String(text ?? '').slice(lastIndex));
+    return html`${parts}`;
+}
+
+/**
+ * Whether an image path is local (relative, no scheme or protocol-relative host)
+ */
+function isLocalMarkdownImage(src) {
+    return !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src.trim());
+}
+
+/**
+ * Render Markdown text as block elements
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.headingOffset=0] - Added to heading levels (1 turns "#" into <h2>)
+ * @param {Function} [options.resolveUrl] - Maps a local image path (relative to the site root) to its URL from the page
+ * @returns {SafeHTML}
+ */
+function renderMarkdown(text, options = {}) {
+    const headingOffset = options.headingOffset || 0;
+    const resolveUrl = options.resolveUrl || (src => src);
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+
+    // Collect consecutive lines matching a test
+    const collect = test => {
+        const collected = [];
+        while (index < lines.length && test(lines[index])) {
+            collected.push(lines[index]);
+            index++;
+        }
+        return collected;
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const trimmed = line.trim();
+
+        if (trimmed === '') {
+            index++;
+            continue;
+        }
+
+        // Code fence
+        if (trimmed.startsWith('```')) {
+            index++;
+            const code = collect(current => !current.trim().startsWith('```'));
+            index++; // closing fence
+            blocks.push(html`<pre><code>${code.join('\n')}</code></pre>`);
+            continue;
+        }
+
+        const heading = trimmed.match(MARKDOWN_HEADING_PATTERN);
+        if (heading) {
+            const level = Math.min(heading[1].length + headingOffset, 6);
+            blocks.push(html`${rawHTML(`<h${level}>`)}${renderInlineMarkdown(heading[2])}${rawHTML(`</h${level}>`)}`);
+            index++;
+            continue;
+        }
+
+        const image = trimmed.match(MARKDOWN_IMAGE_PATTERN);
+        if (image) {
+            const [, alt, src] = image;
+            blocks.push(isLocalMarkdownImage(src)
+                ? html`
+                    <figure>
+                        <img src="${resolveUrl(src)}" alt="${alt}" loading="lazy">
+                        ${alt ? html`<figcaption>${alt}</figcaption>` : ''}
+                    </figure>
+                `
+                : html`<p>${alt}</p>`);
+            index++;
+            continue;
+        }
+
+        if (MARKDOWN_LIST_PATTERN.test(line)) {
+            const isOrdered = current => /^\d/.test(current.match(MARKDOWN_LIST_PATTERN)[1]);
+            const ordered = isOrdered(line);
+            const items = collect(current => MARKDOWN_LIST_PATTERN.test(current) && isOrdered(current) === ordered)
+                .map(current => html`<li>${renderInlineMarkdown(current.match(MARKDOWN_LIST_PATTERN)[2])}</li>`);
+            blocks.push(ordered ? html`<ol>${items}</ol>` : html`<ul>${items}</ul>`);
+            continue;
+        }
+
+        if (trimmed.startsWith('>')) {
+            const quote = collect(current => current.trim().startsWith('>'))
+                .map(current => current.trim().replace(/^>\s?/, ''))
+                .join('\n');
+            blocks.push(html`<blockquote>${renderMarkdown(quote, options)}</blockquote>`);
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or another block; single line breaks are kept
+        const paragraph = collect(current => {
+            const value = current.trim();
+            return value !== '' && !value.startsWith('```') && !value.startsWith('>') &&
+                !MARKDOWN_HEADING_PATTERN.test(value) && !MARKDOWN_IMAGE_PATTERN.test(value) && !MARKDOWN_LIST_PATTERN.test(current);
+        });
+        const content = paragraph.map((current, position) => (
+            position === 0 ? renderInlineMarkdown(current.trim()) : html`<br>${renderInlineMarkdown(current.trim())}`
+        ));
+        blocks.push(html`<p>${content}</p>`);
+    }
+
+    return html`${blocks}`;
+}
+
+/**
+ * Local image paths of Markdown (the images rendered on their own line, outside code fences),
+ * for the asset checker
+ * @returns {string[]}
+ */
+function markdownImages(text) {
+    let inFence = false;
+
+    return String(text ?? '').split('\n').flatMap(line => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('```')) inFence = !inFence;
+        const image = inFence ? null : trimmed.match(MARKDOWN_IMAGE_PATTERN);
+        return image && isLocalMarkdownImage(image[2]) ? [image[2]] : [];
+    });
+}
+
+/**
+ * Plain text of Markdown, on one line (for meta descriptions and structured data)
+ * @returns {string}
+ */
+function markdownToText(text) {
+    return String(text ?? '')
+        .split(/\r\n?|\n/)
+        .filter(line => !line.trim().startsWith('```'))
+        .map(line => line
+            .replace(MARKDOWN_HEADING_PATTERN, '$2')
+            .replace(MARKDOWN_LIST_PATTERN, '$2')
+            .replace(/^\s*>\s?/, '')
+            .replace(MARKDOWN_INLINE_PATTERN, (match, code, bold, italic, underscored, imageAlt, linkText) => (
+                code ?? markdownToText(bold ?? italic ?? underscored ?? imageAlt ?? linkText)
+            )))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderMarkdown, renderInlineMarkdown, markdownToText, markdownImages };
+}
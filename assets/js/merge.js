@@ -0,0 +1,74 @@
+/**
+ * Data Merge
+ * Combines the shared, language-neutral portfolio data (data/portfolio.json)
+ * with the per-language overlays (data/portfolio_<lang>.json)
+ */
+
+/**
+ * Check for a plain JSON object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether every entry of an array is an object with an `id`
+ */
+function isKeyedArray(value) {
+    return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id);
+}
+
+/**
+ * Deep-merge two JSON values, the overlay winning on conflicts.
+ * - objects merge key by key
+ * - arrays of entries with `id` merge by id (base order first, then entries only the overlay has)
+ * - other arrays merge index by index (e.g. link urls with translated link texts)
+ * - anything else: the overlay value replaces the base value
+ */
+function deepMerge(base, overlay) {
+    if (overlay === undefined) return cloneJSON(base);
+    if (base === undefined) return cloneJSON(overlay);
+
+    if (isPlainObject(base) && isPlainObject(overlay)) {
+        const result = {};
+        new Set([...Object.keys(base), ...Object.keys(overlay)]).forEach(key => {
+            result[key] = deepMerge(base[key], overlay[key]);
+        });
+        return result;
+    }
+
+    if (Array.isArray(base) && Array.isArray(overlay)) {
+        if (isKeyedArray(base) && isKeyedArray(overlay)) {
+            const overlayById = new Map(overlay.map(item => [item.id, item]));
+            const merged = base.map(item => deepMerge(item, overlayById.get(item.id)));
+            const baseIds = new Set(base.map(item => item.id));
+            overlay.filter(item => !baseIds.has(item.id)).forEach(item => merged.push(cloneJSON(item)));
+            return merged;
+        }
+
+        const length = Math.max(base.length, overlay.length);
+        return Array.from({ length }, (_, index) => deepMerge(base[index], overlay[index]));
+    }
+
+    return cloneJSON(overlay);
+}
+
+/**
+ * Copy a JSON value
+ */
+function cloneJSON(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Merge shared data with language overlays, applied in order (least specific first)
+ * @param {Object} shared - Contents of data/portfolio.json
+ * @param {...Object} overlays - e.g. the English overlay, then the Russian overlay
+ */
+function mergePortfolio(shared, ...overlays) {
+    return overlays.reduce((result, overlay) => deepMerge(result, overlay), cloneJSON(shared) || {});
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { deepMerge, mergePortfolio };
+}
@@ -0,0 +1,203 @@
+/**
+ * Parity Checker
+ * Compares portfolio language files entry by entry (matched by `id`) and reports
+ * missing entries, drifting language-neutral fields and untranslated text.
+ * With shared data (data/portfolio.json), every language must cover exactly its entries,
+ * and language-neutral fields in an overlay are overrides that must agree across languages
+ */
+
+class ParityChecker {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.sections] - Arrays to compare (default: every top-level array in the base file)
+     */
+    constructor(options = {}) {
+        this.sections = options.sections || null;
+    }
+
+    // Fields that must be identical in every language
+    static NON_TRANSLATABLE_FIELDS = ['image', 'imageThumb', 'imageFull', 'imageExtension', 'techTags', 'featured', 'url', 'category', 'tags', 'proficiency', 'years'];
+
+    // Prose fields expected to differ from the base language
+    static TRANSLATABLE_FIELDS = ['description', 'contribution', 'achievements', 'genre', 'status', 'location', 'degree'];
+
+    /**
+     * Compare each translation against the base language
+     * @param {{language: string, data: Object}} base - Reference language (usually English)
+     * @param {Array<{language: string, data: Object}>} translations
+     * @param {Object} [shared] - Shared language-neutral data; when given, entries are matched against it
+     * @returns {{missing: Array, mismatched: Array, untranslated: Array, missingIds: Array}}
+     */
+    check(base, translations, shared = null) {
+        const report = { missing: [], mismatched: [], untranslated: [], missingIds: [] };
+        const reference = shared || base.data;
+        const sections = this.sections || Object.keys(reference).filter(key => Array.isArray(reference[key]));
+        const languages = [base, ...translations];
+
+        if (shared) {
+            languages.push({ language: 'shared', data: shared });
+        }
+
+        languages.forEach(({ language, data }) => {
+            sections.forEach(section => {
+                (data[section] || []).forEach((item, index) => {
+                    if (!item.id) report.missingIds.push({ language, section, index });
+                });
+            });
+        });
+
+        if (shared) {
+            [base, ...translations].forEach(({ language, data }) => {
+                sections.forEach(section => this.compareMembership(section, shared[section], data[section], language, report));
+            });
+        }
+
+        translations.forEach(({ language, data }) => {
+            sections.forEach(section => {
+                const baseItems = ParityChecker.indexById(base.data[section]);
+                const otherItems = ParityChecker.indexById(data[section]);
+                const sharedItems = ParityChecker.indexById(shared && shared[section]);
+
+                if (!shared) {
+                    this.compareMembership(section, base.data[section], data[section], language, report, base.language);
+                }
+
+                otherItems.forEach((item, id) => {
+                    if (baseItems.has(id)) {
+                        const sharedItem = sharedItems.get(id);
+                        this.compareItem(section, id,
+                            ParityChecker.applyShared(baseItems.get(id), sharedItem),
+                            ParityChecker.applyShared(item, sharedItem),
+                            language, report);
+                    }
+                });
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * Report entries present on only one side
+     * @param {string} language - Language of `items` (reported when it lacks an entry)
+     * @param {string} [referenceLanguage] - Reported when `referenceItems` lacks an entry (default: 'shared')
+     */
+    compareMembership(section, referenceItems, items, language, report, referenceLanguage = 'shared') {
+        const reference = ParityChecker.indexById(referenceItems);
+        const other = ParityChecker.indexById(items);
+
+        reference.forEach((item, id) => {
+            if (!other.has(id)) report.missing.push({ section, id, language });
+        });
+        other.forEach((item, id) => {
+            if (!reference.has(id)) report.missing.push({ section, id, language: referenceLanguage });
+        });
+    }
+
+    /**
+     * Map array entries by id (entries without id are reported separately)
+     */
+    static indexById(items) {
+        const map = new Map();
+        (items || []).forEach(item => {
+            if (item && item.id) map.set(item.id, item);
+        });
+        return map;
+    }
+
+    /**
+     * Effective entry: shared fields with the overlay's fields on top (links merge by index)
+     */
+    static applyShared(item, sharedItem) {
+        if (!sharedItem) return item;
+
+        const sharedLinks = sharedItem.links || [];
+        const links = item.links || [];
+        return {
+            ...sharedItem,
+            ...item,
+            links: Array.from({ length: Math.max(sharedLinks.length, links.length) }, (_, index) => ({ ...sharedLinks[index], ...links[index] }))
+        };
+    }
+
+    /**
+     * Compare one entry against its base-language counterpart
+     */
+    compareItem(section, id, baseItem, item, language, report) {
+        ParityChecker.NON_TRANSLATABLE_FIELDS.forEach(field => {
+            if (!ParityChecker.isEqual(baseItem[field], item[field])) {
+                report.mismatched.push({ section, id, language, field, expected: baseItem[field], actual: item[field] });
+            }
+        });
+
+        // Links: text is translated, target and icon are not
+        const baseLinks = (baseItem.links || []).map(link => ({ url: link.url, icon: link.icon }));
+        const links = (item.links || []).map(link => ({ url: link.url, icon: link.icon }));
+        if (!ParityChecker.isEqual(baseLinks, links)) {
+            report.mismatched.push({ section, id, language, field: 'links', expected: baseLinks, actual: links });
+        }
+
+        ParityChecker.TRANSLATABLE_FIELDS.forEach(field => {
+            const baseValue = baseItem[field];
+            const value = item[field];
+
+            if (Array.isArray(baseValue) && Array.isArray(value)) {
+                value.forEach((entry, index) => {
+                    if (ParityChecker.isUntranslated(baseValue[index], entry)) {
+                        report.untranslated.push({ section, id, language, field: `${field}[${index}]`, value: entry });
+                    }
+                });
+            } else if (ParityChecker.isUntranslated(baseValue, value)) {
+                report.untranslated.push({ section, id, language, field, value });
+            }
+        });
+    }
+
+    /**
+     * Text identical to the base language (ignoring strings with no letters, like "2009 - 2016")
+     */
+    static isUntranslated(baseValue, value) {
+        return typeof value === 'string' && value === baseValue && /\p{L}/u.test(value);
+    }
+
+    /**
+     * Structural equality for JSON values
+     */
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Format report as text lines (used by the CLI and the debug panel)
+     */
+    static formatReport(report) {
+        const lines = [];
+        const show = value => JSON.stringify(value);
+
+        report.missingIds.forEach(({ language, section, index }) => {
+            lines.push(`❌ [${language}] ${section}[${index}] has no "id"`);
+        });
+        report.missing.forEach(({ language, section, id }) => {
+            lines.push(`❌ [${language}] ${section}/${id} is missing`);
+        });
+        report.mismatched.forEach(({ language, section, id, field, expected, actual }) => {
+            lines.push(`❌ [${language}] ${section}/${id} ${field}: expected ${show(expected)}, got ${show(actual)}`);
+        });
+        report.untranslated.forEach(({ language, section, id, field, value }) => {
+            lines.push(`⚠️ [${language}] ${section}/${id} ${field} is identical to the base language: ${show(value)}`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Whether the report contains errors (untranslated text is only a warning)
+     */
+    static hasErrors(report) {
+        return report.missingIds.length > 0 || report.missing.length > 0 || report.mismatched.length > 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParityChecker;
+}
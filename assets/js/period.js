@@ -0,0 +1,198 @@
+/**
+ * Period
+ * Parses free-text periods ("October 2022 - June 2025", "Июн 2025 – Ноя 2025", "2020 - Present", "2020-2023")
+ * and explicit start/end fields ("2024-08", "2021", "present") into month numbers
+ * (year * 12 + month), for sorting and the timeline.
+ */
+
+// Month name prefixes by month; matched against the first three letters of a word, any case
+const PERIOD_MONTHS = [
+    ['jan', 'янв'], ['feb', 'фев'], ['mar', 'мар'], ['apr', 'апр'], ['may', 'май', 'мая'], ['jun', 'июн'],
+    ['jul', 'июл'], ['aug', 'авг'], ['sep', 'сен'], ['oct', 'окт'], ['nov', 'ноя'], ['dec', 'дек']
+];
+const PERIOD_PRESENT_PATTERN = /^(present|now|current|today|ongoing|(по\s+)?наст(оящее|\.)?(\s+вр(емя|\.))?|сейчас|н\.\s?в\.)$/iu;
+// A spaced hyphen or any dash; an unspaced hyphen only after a year or month and before a year or word
+// ("2020-2023", "Jan 2021-Present"), so "2024-08" stays one month
+const PERIOD_RANGE_SEPARATOR = /\s+[-–—]\s+|\s*[–—]\s*|(?<=\d{4}(?:-\d{1,2})?|\p{L}\.?)-(?=\p{L}|\d{4})/u;
+
+/**
+ * Month number of a date
+ */
+function toPeriodMonth(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+}
+
+/**
+ * Month index (0-11) of a month name in any supported language, or -1
+ */
+function parseMonthName(name) {
+    const key = name.toLowerCase().replace(/\./g, '').slice(0, 3);
+    return PERIOD_MONTHS.findIndex(forms => forms.includes(key));
+}
+
+/**
+ * Parse one side of a period
+ * @param {string} text - "June 2025", "Июн 2025", "2021", "2024-08", "08.2024" or "Present"
+ * @param {'start'|'end'} edge - A bare year means January when starting and December when ending
+ * @param {Date} [now]
+ * @returns {{month: number, ongoing: boolean}|null}
+ */
+function parsePeriodDate(text, edge, now = new Date()) {
+    const value = String(text ?? '').trim();
+    if (PERIOD_PRESENT_PATTERN.test(value)) return { month: toPeriodMonth(now), ongoing: true };
+
+    let match = value.match(/^(\d{4})-(\d{1,2})$/) || value.match(/^(\d{1,2})[./](\d{4})$/);
+    if (match) {
+        const [year, month] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+        const monthIndex = parseInt(month, 10) - 1;
+        return monthIndex >= 0 && monthIndex < 12 ? { month: parseInt(year, 10) * 12 + monthIndex, ongoing: false } : null;
+    }
+
+    match = value.match(/^(?:([\p{L}.]+)\s+)?(\d{4})$/u);
+    if (!match) return null;
+
+    const year = parseInt(match[2], 10);
+    if (!match[1]) return { month: year * 12 + (edge === 'start' ? 0 : 11), ongoing: false };
+
+    const monthIndex = parseMonthName(match[1]);
+    return monthIndex === -1 ? null : { month: year * 12 + monthIndex, ongoing: false };
+}
+
+/**
+ * Parse a free-text period; a single date is a one-off (start and end in the same month or year)
+ * @returns {{start: number, end: number, ongoing: boolean}|null}
+ */
+function parsePeriod(text, now = new Date()) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const parts = text.trim().split(PERIOD_RANGE_SEPARATOR);
+    if (parts.length > 2) return null;
+
+    const start = parsePeriodDate(parts[0], 'start', now);
+    const end = parsePeriodDate(parts[1] ?? parts[0], 'end', now);
+    if (!start || !end || start.ongoing || end.month < start.month) return null;
+
+    return { start: start.month, end: end.month, ongoing: end.ongoing };
+}
+
+/**
+ * Period of an item: explicit `start` / `end` fields win over the `period` text
+ * @returns {{start: number, end: number, ongoing: boolean}|null}
+ */
+function getItemPeriod(item, now = new Date()) {
+    if (item.start) {
+        const start = parsePeriodDate(item.start, 'start', now);
+        const end = parsePeriodDate(item.end || item.start, 'end', now);
+        if (!start || !end || start.ongoing || end.month < start.month) return null;
+        return { start: start.month, end: end.month, ongoing: end.ongoing };
+    }
+
+    return parsePeriod(item.period, now);
+}
+
+/**
+ * Length of a period in months (both ends included)
+ */
+function getPeriodMonths(period) {
+    return period.end - period.start + 1;
+}
+
+/**
+ * Merge overlapping or adjoining periods
+ * @param {Array<{start: number, end: number}>} periods
+ * @returns {Array<{start: number, end: number}>} Disjoint periods, oldest first
+ */
+function mergePeriods(periods) {
+    return [...periods]
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, period) => {
+            const last = merged[merged.length - 1];
+            if (last && period.start <= last.end + 1) {
+                last.end = Math.max(last.end, period.end);
+            } else {
+                merged.push({ start: period.start, end: period.end });
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Months covered by any of the periods (overlaps counted once)
+ */
+function getTotalMonths(periods) {
+    return mergePeriods(periods).reduce((total, period) => total + getPeriodMonths(period), 0);
+}
+
+/**
+ * Format a month number for display, e.g. "Aug 2024" / "авг. 2024 г."
+ */
+function formatPeriodMonth(month, language) {
+    const date = new Date(Math.floor(month / 12), month % 12, 1);
+    return new Intl.DateTimeFormat(language, { month: 'short', year: 'numeric' }).format(date);
+}
+
+/**
+ * Order item indices for a sort mode; undated items keep their order after the dated ones
+ * @param {Array<Object>} items
+ * @param {'default'|'newest'|'longest'|'featured'} sort
+ * @returns {number[]} Item indices in display order
+ */
+function sortByPeriod(items, sort, now = new Date()) {
+    const entries = items.map((item, index) => ({ item, index, period: getItemPeriod(item, now) }));
+    if (sort !== 'newest' && sort !== 'longest' && sort !== 'featured') return entries.map(entry => entry.index);
+
+    const newest = (a, b) => {
+        if (!a.period || !b.period) return (a.period ? -1 : 0) + (b.period ? 1 : 0);
+        return b.period.end - a.period.end || b.period.start - a.period.start;
+    };
+    const compare = {
+        newest,
+        longest: (a, b) => {
+            if (!a.period || !b.period) return newest(a, b);
+            return getPeriodMonths(b.period) - getPeriodMonths(a.period) || newest(a, b);
+        },
+        featured: (a, b) => Number(Boolean(b.item.featured)) - Number(Boolean(a.item.featured)) || newest(a, b)
+    }[sort];
+
+    // Array.prototype.sort is stable, so ties keep the data order
+    return entries.sort(compare).map(entry => entry.index);
+}
+
+/**
+ * Spread overlapping ranges over parallel tracks (first free track wins)
+ * @param {Array<{start: number, end: number}>} ranges
+ * @param {number} [minSpan=1] - Minimum drawn length in months, so short bars don't overlap
+ * @returns {{tracks: number[], count: number}} Track of each range, and the number of tracks
+ */
+function assignTracks(ranges, minSpan = 1) {
+    const trackEnds = [];
+    const tracks = new Array(ranges.length);
+
+    // Short ranges are drawn downwards from their end (newest on top), so they grow into earlier months
+    ranges
+        .map((range, index) => ({ index, start: Math.min(range.start, range.end - minSpan + 1), end: range.end }))
+        .sort((a, b) => a.start - b.start || b.end - a.end)
+        .forEach(range => {
+            let track = trackEnds.findIndex(end => end < range.start);
+            if (track === -1) track = trackEnds.length;
+            trackEnds[track] = range.end;
+            tracks[range.index] = track;
+        });
+
+    return { tracks, count: trackEnds.length };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toPeriodMonth,
+        parsePeriodDate,
+        parsePeriod,
+        getItemPeriod,
+        getPeriodMonths,
+        mergePeriods,
+        getTotalMonths,
+        formatPeriodMonth,
+        sortByPeriod,
+        assignTracks
+    };
+}
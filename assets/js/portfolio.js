@@ -5,17 +5,46 @@
  */
 
 class ModernPortfolioManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.init=true] - Load and render right away (scripts/prerender.js loads and renders step by step)
+     */
+    constructor(options = {}) {
         this.data = null;
         this.socialData = null; // Separate social data (same for all languages)
+        this.sharedDataFile = 'data/portfolio.json'; // Language-neutral fields shared by all languages
+        this.sharedData = null;
+        this.dataOverlays = {}; // Loaded data/portfolio_<lang>.json overlays by language
+        this.collections = []; // Card collection schemas from data/collections.json
+        this.schemas = {}; // JSON Schemas from data/schema/ used to validate loaded data
+        this.dataWarnings = {}; // Validation results by data file
+        this.strings = null; // StringCatalog with UI labels for the current language
+        this.stringCatalogs = {}; // Loaded data/i18n/<lang>.json catalogs by language
+        this.languageManifest = null; // Language registry from data/languages.json
         this.currentLanguage = 'en'; // Default to English
-        this.supportedLanguages = ['en', 'ru'];
-        this.projectImages = [];
-        this.currentImageIndex = 0;
+        this.supportedLanguages = ['en'];
+        this.galleries = {}; // Modal slides by collection id: [{ title, media: [{ type, full, thumb, caption, ... }] }]
+        this.activeGallery = null; // Open modal position: { collection, itemIndex, mediaIndex }
         this.scrollPosition = 0; // Store scroll position when modal opens
+        this.applyingRoute = false; // True while the UI follows the URL, so it doesn't write history back
+        this.activeCaseStudy = null; // Open case study: { section, id, fromPage }
+        this.caseStudyScrollPosition = 0; // Page scroll position to return to from a case study
+        this.filter = parseFilter(window.location.search); // Card filter (chips, platforms, search), mirrored in the URL query
+        this.cvProjectLimit = 4; // Projects listed in the CV when none is `featured`
+        this.contentRefreshTimer = null; // Pending re-render after the service worker reported newer data
+        this.contentRefreshDelay = 500; // Wait for the other data files that changed with the first one
+        this.installPrompt = null; // Deferred beforeinstallprompt event while the browser offers installation
+        this.updateAvailable = false; // The service worker reported a newer page, script or style than the one running
+        this.imageManifest = null; // Image entries by original path: responsive variants from images/responsive/manifest.json, intrinsic sizes when pre-rendering
+        this.imageFormats = []; // Modern image formats the browser decodes (avif, webp), for the modal's full-size images
+        this.imageLoader = new ImageLoader({ maxEntries: 24 }); // Full-size modal images, with the neighbours prefetched
+        this.modalImageRequest = 0; // Counts modal image loads; only the newest one may show its image
+        this.siteRoot = document.documentElement.dataset.root || ''; // Path from the page to the site root ('../' on ru/index.html)
+        
+        if (options.init === false) return;
         
         console.log('🚀 Initializing Modern Portfolio Manager...');
-        this.init();
+        this.ready = this.init(); // Settles once the page is rendered
     }
 
     /**
@@ -23,17 +52,17 @@ class ModernPortfolioManager {
      */
     async init() {
         try {
-            // Show loading indicator
-            this.showLoading();
+            // A pre-rendered page already shows its content, so there is nothing to wait for
+            const prerendered = document.documentElement.dataset.prerendered;
+            if (!prerendered) this.showLoading();
             
-            // Initialize language
-            this.initializeLanguage();
+            await this.loadContent();
             
-            // Load portfolio data
-            await this.loadData();
+            // Initialize UI; keep the pre-rendered markup when it is in the language being shown
+            this.initializeUI(prerendered === this.currentLanguage);
             
-            // Initialize UI
-            this.initializeUI();
+            // Offline banner and service worker
+            this.initializeOfflineSupport();
             
             // Hide loading indicator
             this.hideLoading();
@@ -45,6 +74,158 @@ class ModernPortfolioManager {
         }
     }
 
+    /**
+     * Load the language registry, card collection schemas, data schemas and portfolio data
+     */
+    async loadContent() {
+        await this.loadLanguageManifest();
+        this.initializeLanguage();
+        
+        await this.loadCollections();
+        await this.loadSchemas();
+        await this.loadImageManifest();
+        await this.loadData();
+    }
+
+    /**
+     * Load the language registry (data/languages.json)
+     */
+    async loadLanguageManifest() {
+        try {
+            const response = await fetch(this.resolveAsset('data/languages.json'));
+            if (!response.ok) {
+                throw new Error(`Failed to load data/languages.json: ${response.status}`);
+            }
+            this.languageManifest = await response.json();
+            console.log('✅ Successfully loaded language manifest');
+        } catch (error) {
+            console.error('❌ Error loading language manifest:', error);
+            // Minimal registry so the site still renders in the default language
+            this.languageManifest = {
+                default: 'en',
+                languages: [{ code: 'en', name: 'English', fallback: [] }]
+            };
+        }
+        
+        this.supportedLanguages = this.languageManifest.languages.map(language => language.code);
+    }
+
+    /**
+     * Load the responsive image variants written by scripts/build-images.js; scripts/prerender.js
+     * names the file in data-image-manifest once it exists. Without them images render from
+     * their original files
+     */
+    async loadImageManifest() {
+        if (this.imageManifest) return;
+        
+        const manifestFile = document.documentElement.dataset.imageManifest;
+        if (!manifestFile) {
+            this.imageManifest = {};
+            return;
+        }
+        
+        try {
+            const response = await fetch(this.resolveAsset(manifestFile));
+            this.imageManifest = response.ok ? await response.json() : {};
+            if (response.ok) console.log('✅ Successfully loaded image manifest');
+        } catch (error) {
+            console.warn('⚠️ Could not load image manifest:', error);
+            this.imageManifest = {};
+        }
+    }
+
+    /**
+     * Render an image with its responsive variants, when it has any (see images.js)
+     */
+    renderImage(src, options) {
+        return renderResponsiveImage(src, this.imageManifest?.[src], { ...options, resolveUrl: path => this.resolveAsset(path) });
+    }
+
+    /**
+     * URL of a file from the page: data paths are relative to the site root, while pages in a
+     * language subdirectory (ru/) resolve relative URLs against their own directory
+     */
+    resolveAsset(path) {
+        if (!path || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(path)) return path;
+        return `${this.siteRoot}${path}`;
+    }
+
+    /**
+     * Load card collection schemas (data/collections.json)
+     */
+    async loadCollections() {
+        const response = await fetch(this.resolveAsset('data/collections.json'));
+        if (!response.ok) {
+            throw new Error(`Failed to load data/collections.json: ${response.status}`);
+        }
+        
+        const { collections } = await response.json();
+        this.collections = collections;
+        console.log(`✅ Successfully loaded ${collections.length} collection schemas`);
+    }
+
+    /**
+     * Load JSON Schemas for portfolio and social data (data/schema/)
+     */
+    async loadSchemas() {
+        await Promise.all(['portfolio', 'social'].map(async name => {
+            const schemaFile = `data/schema/${name}.schema.json`;
+            try {
+                const response = await fetch(this.resolveAsset(schemaFile));
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${schemaFile}: ${response.status}`);
+                }
+                this.schemas[name] = await response.json();
+            } catch (error) {
+                // Render unvalidated data rather than nothing
+                console.error('❌ Error loading schema, skipping validation:', error);
+            }
+        }));
+    }
+
+    /**
+     * Validate loaded data, dropping invalid entries and recording warnings
+     */
+    validateData(schemaName, data, source) {
+        const schema = this.schemas[schemaName];
+        if (!schema) return data;
+        
+        const result = new DataValidator(schema).sanitize(data);
+        this.dataWarnings[source] = result;
+        
+        if (result.errors.length > 0) {
+            console.warn(`⚠️ ${source}: ${result.errors.length} validation error(s), skipped: ${result.skipped.join(', ') || 'none'}`);
+            result.errors.forEach(error => {
+                console.warn(`   ${DataValidator.formatPath(error.path)} ${error.message}`);
+            });
+        }
+        
+        return result.data;
+    }
+
+    /**
+     * Get manifest entry for a language code
+     */
+    getLanguageInfo(code) {
+        return this.languageManifest?.languages.find(language => language.code === code) || null;
+    }
+
+    /**
+     * Get data file path for a language code (data/portfolio_<code>.json)
+     */
+    getDataFile(code) {
+        return `data/portfolio_${code}.json`;
+    }
+
+    /**
+     * Get ordered list of languages to try for a language code:
+     * the language itself, its declared fallbacks, then the default language
+     */
+    getFallbackChain(code) {
+        const chain = [code, ...(this.getLanguageInfo(code)?.fallback || []), this.languageManifest.default];
+        return [...new Set(chain)].filter(lang => this.supportedLanguages.includes(lang));
+    }
+
     /**
      * Initialize language settings
      */
@@ -57,120 +238,584 @@ class ModernPortfolioManager {
             this.currentLanguage = langParam;
             console.log(`🌐 Language set from URL: ${this.currentLanguage}`);
         } else {
-            // Default to English
-            this.currentLanguage = 'en';
-            console.log(`🌐 Using default language: ${this.currentLanguage}`);
+            this.currentLanguage = this.getPageLanguage();
+            console.log(`🌐 Language set from page: ${this.currentLanguage}`);
         }
     }
 
     /**
-     * Load portfolio data for current language
+     * Language of a URL without `?lang`: the page's own for pre-rendered pages (ru/index.html),
+     * else the default language from the manifest
      */
-    async loadData() {
+    getPageLanguage() {
+        const pageLanguage = document.documentElement.dataset.prerendered;
+        return pageLanguage && this.supportedLanguages.includes(pageLanguage) ? pageLanguage : this.languageManifest.default;
+    }
+
+    /**
+     * Load shared data (data/portfolio.json) once
+     */
+    async loadSharedData() {
+        if (this.sharedData) return this.sharedData;
+        
+        console.log(`📂 Loading shared data from: ${this.sharedDataFile}`);
+        const response = await fetch(this.resolveAsset(this.sharedDataFile));
+        if (!response.ok) {
+            throw new Error(`Failed to load ${this.sharedDataFile}: ${response.status}`);
+        }
+        
+        this.sharedData = await response.json();
+        return this.sharedData;
+    }
+
+    /**
+     * Load a language overlay (data/portfolio_<code>.json), cached per language
+     * @returns {Promise<Object|null>} Overlay, or null when it can't be loaded
+     */
+    async loadOverlay(language) {
+        if (this.dataOverlays[language]) return this.dataOverlays[language];
+        
+        const dataFile = this.getDataFile(language);
         try {
-            const dataFile = this.currentLanguage === 'ru' ? 'data/portfolio_ru.json' : 'data/portfolio.json';
             console.log(`📂 Loading data from: ${dataFile}`);
-            
-            // Load portfolio data and social data in parallel
-            const [portfolioResponse, socialResponse] = await Promise.all([
-                fetch(dataFile),
-                this.socialData ? Promise.resolve(null) : fetch('data/social.json')
-            ]);
-            
-            if (!portfolioResponse.ok) {
-                throw new Error(`Failed to load ${dataFile}: ${portfolioResponse.status}`);
+            const response = await fetch(this.resolveAsset(dataFile));
+            if (!response.ok) {
+                throw new Error(`Failed to load ${dataFile}: ${response.status}`);
             }
-            
-            this.data = await portfolioResponse.json();
-            console.log(`✅ Successfully loaded ${this.currentLanguage} data`);
-            
-            // Load social data only once (it's the same for all languages)
+            this.dataOverlays[language] = await response.json();
+            return this.dataOverlays[language];
+        } catch (error) {
+            console.error('❌ Error loading data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load portfolio data for current language: shared data merged with the
+     * overlays of its fallback chain, so missing translations fall back per field
+     */
+    async loadData() {
+        const chain = this.getFallbackChain(this.currentLanguage);
+        
+        // Load social data only once (it's the same for all languages)
+        const socialRequest = this.socialData ? Promise.resolve(null) : fetch(this.resolveAsset('data/social.json'));
+        
+        const [shared, ...overlays] = await Promise.all([
+            this.loadSharedData(),
+            ...chain.map(language => this.loadOverlay(language))
+        ]);
+        
+        const loadedLanguage = chain.find((language, index) => overlays[index]);
+        if (!loadedLanguage) {
+            throw new Error(`No data available for ${this.currentLanguage}`);
+        }
+        
+        if (loadedLanguage !== this.currentLanguage) {
+            console.log(`🔄 Fell back from ${this.currentLanguage} to ${loadedLanguage}`);
+            this.currentLanguage = loadedLanguage;
+        }
+        
+        // Most specific language last so it wins
+        const merged = mergePortfolio(shared, ...overlays.filter(Boolean).reverse());
+        this.data = this.validateData('portfolio', merged, this.getDataFile(this.currentLanguage));
+        this.applyTagAliases();
+        console.log(`✅ Successfully loaded ${this.currentLanguage} data`);
+        
+        // Load UI strings next to the portfolio data
+        await this.loadStrings();
+        
+        try {
+            const socialResponse = await socialRequest;
             if (socialResponse && socialResponse.ok) {
-                this.socialData = await socialResponse.json();
+                this.socialData = this.validateData('social', await socialResponse.json(), 'data/social.json');
                 console.log('✅ Successfully loaded social data');
             }
-            
-            // Initialize project images array
-            this.projectImages = this.data.projects.map(project => {
-                const ext = project.imageExtension || 'jpg';
-                const thumbImage = project.imageThumb || project.image;
-                const fullImage = project.imageFull || project.image;
-                
-                return {
-                    full: `images/fulls/${fullImage}.${ext}`,
-                    thumb: `images/thumbs/${thumbImage}.${ext}`,
-                    title: project.title,
-                    description: project.description
-                };
-            });
-            
-            console.log('📚 Project images initialized:', this.projectImages);
-            
         } catch (error) {
-            console.error('❌ Error loading data:', error);
-            // Fallback to English if Russian fails
-            if (this.currentLanguage === 'ru') {
-                console.log('🔄 Falling back to English...');
-                this.currentLanguage = 'en';
-                return this.loadData();
+            console.error('❌ Error loading social data:', error);
+        }
+        
+        document.documentElement.lang = this.currentLanguage;
+        
+        this.buildGalleries();
+    }
+
+    /**
+     * Rewrite tech tags and skill tags to their canonical spelling (data `tagAliases`),
+     * so chips, skill links and statistics aren't split by spelling
+     */
+    applyTagAliases() {
+        const aliases = buildTagAliases(this.data.tagAliases);
+        if (aliases.size === 0) return;
+        
+        this.collections.forEach(collection => {
+            (this.data[collection.id] || []).forEach(item => {
+                if (Array.isArray(item.techTags)) item.techTags = normalizeTags(item.techTags, aliases);
+            });
+        });
+        (this.data.skills || []).forEach(skill => {
+            if (Array.isArray(skill.tags)) skill.tags = normalizeTags(skill.tags, aliases);
+        });
+    }
+
+    /**
+     * Build modal slides for every collection that opens the image modal
+     */
+    buildGalleries() {
+        this.galleries = {};
+        
+        this.collections.filter(collection => collection.modal).forEach(collection => {
+            this.galleries[collection.id] = (this.data[collection.id] || []).map(item => ({
+                id: item.id,
+                title: item.title,
+                media: this.getGalleryMedia(item, collection)
+            }));
+        });
+        
+        console.log('📚 Galleries initialized:', this.galleries);
+    }
+
+    /**
+     * Get an item's modal slides: the card image first, then its `gallery` entries
+     */
+    getGalleryMedia(item, collection) {
+        const ext = item.imageExtension || collection.imageExtension || 'png';
+        const media = [];
+        
+        if (item.image || item.imageFull) {
+            const thumb = `images/thumbs/${item.imageThumb || item.image}.${ext}`;
+            media.push({
+                type: 'image',
+                // Without an `imageFull` the modal shows the thumbnail
+                full: item.imageFull ? `images/fulls/${item.imageFull}.${ext}` : thumb,
+                thumb,
+                caption: item.title
+            });
+        }
+        
+        (item.gallery || []).forEach(entry => {
+            const slide = this.getGallerySlide(entry, ext);
+            if (slide) {
+                media.push({ ...slide, caption: entry.caption || item.title });
+            } else {
+                console.warn(`⚠️ Skipping incomplete gallery entry in "${item.title}":`, entry);
             }
-            throw error;
+        });
+        
+        return media;
+    }
+
+    /**
+     * Resolve one gallery entry by type:
+     * image (incl. animated GIF/WebP), video (local MP4/WebM) or youtube (loaded on click)
+     * @returns {Object|null} Slide, or null when the entry lacks its source
+     */
+    getGallerySlide(entry, defaultExtension) {
+        const type = entry.type || 'image';
+        const poster = entry.poster ? `images/thumbs/${entry.poster}.${entry.posterExtension || defaultExtension}` : null;
+        
+        if (type === 'video') {
+            const sources = [].concat(entry.src || []);
+            if (sources.length === 0) return null;
+            return { type, sources, poster, thumb: poster };
+        }
+        
+        if (type === 'youtube') {
+            if (!entry.youtube) return null;
+            const youtubePoster = poster || `https://i.ytimg.com/vi/${entry.youtube}/hqdefault.jpg`;
+            return { type, youtube: entry.youtube, poster: youtubePoster, thumb: youtubePoster };
         }
+        
+        if (!entry.image) return null;
+        
+        const ext = entry.imageExtension || defaultExtension;
+        // Animated GIFs live in their own folder
+        const folder = ext === 'gif' ? 'gifs' : 'fulls';
+        return {
+            type: 'image',
+            full: `images/${folder}/${entry.image}.${ext}`,
+            thumb: poster || `images/thumbs/${entry.image}.${ext}`
+        };
+    }
+
+    /**
+     * Load UI string catalogs (data/i18n/<lang>.json) for the current fallback chain
+     */
+    async loadStrings() {
+        const chain = this.getFallbackChain(this.currentLanguage);
+        
+        const catalogs = await Promise.all(chain.map(async language => {
+            if (this.stringCatalogs[language]) return this.stringCatalogs[language];
+            
+            const stringsFile = `data/i18n/${language}.json`;
+            try {
+                const response = await fetch(this.resolveAsset(stringsFile));
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${stringsFile}: ${response.status}`);
+                }
+                this.stringCatalogs[language] = { language, strings: await response.json() };
+                return this.stringCatalogs[language];
+            } catch (error) {
+                console.error('❌ Error loading strings:', error);
+                return null;
+            }
+        }));
+        
+        // ?i18n=debug renders missing keys visibly for translators
+        const showMissing = new URLSearchParams(window.location.search).get('i18n') === 'debug';
+        this.strings = new StringCatalog(this.currentLanguage, catalogs.filter(Boolean), { showMissing });
+        console.log(`✅ Successfully loaded ${this.currentLanguage} strings`);
+    }
+
+    /**
+     * Translate a UI string key, e.g. t('nav.about') or t('key', { count: 3 })
+     */
+    t(key, params) {
+        return this.strings ? this.strings.t(key, params) : key;
     }
 
     /**
      * Initialize UI components and event listeners
      */
-    initializeUI() {
-        // Render all sections
-        this.renderAllSections();
+    initializeUI(hydrate = false) {
+        // Render all sections, or take over the pre-rendered ones
+        if (hydrate) {
+            this.hydrateSections();
+        } else {
+            this.renderAllSections();
+        }
         
         // Initialize event listeners
         this.initializeEventListeners();
         
+        // Responsive image placeholders and formats
+        this.initializeImages();
+        
         // Initialize image modal
         this.initializeImageModal();
         
         // Initialize mobile navigation
         this.initializeMobileNav();
+        
+        // Initialize filter bar (chips, platforms, search)
+        this.initializeFilterBar();
+        
+        // Follow the URL (deep links, back/forward)
+        this.initializeRouter();
+        
+        // Install button
+        this.initializeInstallPrompt();
+    }
+
+    /**
+     * Clear the blurred placeholder behind each image once it loads, replace thumbnails that
+     * fail to load, and find out which modern formats the modal can load its full-size images in
+     */
+    initializeImages() {
+        const clearPlaceholder = image => image.classList.add('is-loaded');
+        
+        // Load and error events don't bubble, so they are caught on the way down
+        document.addEventListener('load', (e) => {
+            if (e.target.classList?.contains('has-placeholder')) clearPlaceholder(e.target);
+        }, true);
+        document.addEventListener('error', (e) => {
+            if (e.target instanceof HTMLImageElement && this.needsImagePlaceholder(e.target)) this.replaceBrokenImage(e.target);
+        }, true);
+        
+        // Pre-rendered images may have loaded (or failed) before this script ran
+        document.querySelectorAll('img').forEach(image => {
+            if (!image.complete) return;
+            if (image.naturalWidth === 0 && this.needsImagePlaceholder(image)) {
+                this.replaceBrokenImage(image);
+            } else if (image.classList.contains('has-placeholder')) {
+                clearPlaceholder(image);
+            }
+        });
+        
+        detectImageFormats().then(formats => {
+            this.imageFormats = formats;
+            console.log(`🖼️ Image formats: ${formats.join(', ') || 'originals only'}`);
+        });
+    }
+
+    /**
+     * Whether a broken image is a thumbnail (avatar, card, gallery strip) to replace with a placeholder,
+     * and has no other file left to try
+     */
+    needsImagePlaceholder(image) {
+        // Strip thumbnails try their full-size image first (see initializeImageModal)
+        const fallback = image.dataset.fallback;
+        if (fallback && image.getAttribute('src') !== fallback) return false;
+        
+        const selectors = [
+            '.avatar-large',
+            '.modal-thumb img',
+            '.case-study-thumb img',
+            ...this.collections.map(collection => `.${collection.classPrefix}-image`)
+        ];
+        return image.matches(selectors.join(', '));
+    }
+
+    /**
+     * Replace a broken thumbnail with a placeholder of the same size; it keeps the classes and
+     * data attributes, so a card image still opens the modal
+     */
+    replaceBrokenImage(image) {
+        const target = image.closest('picture') || image;
+        const classes = [...image.classList].filter(name => !['has-placeholder', 'is-loaded'].includes(name));
+        
+        console.warn(`⚠️ Broken image: ${image.currentSrc || image.getAttribute('src')}`);
+        target.insertAdjacentHTML('afterend', html`
+            <span class="${['image-placeholder', ...classes].join(' ')}" ${image.alt ? html`role="img" aria-label="${image.alt}"` : html`aria-hidden="true"`}>
+                <i class="fas fa-image" aria-hidden="true"></i>
+            </span>
+        `);
+        Object.assign(target.nextElementSibling.dataset, image.dataset);
+        target.remove();
     }
 
     /**
      * Render all portfolio sections
      */
     renderAllSections() {
+        this.renderDataWarnings();
+        this.renderContent();
+        this.renderFilterBar();
+    }
+
+    /**
+     * Render the sections that depend only on the data and language
+     * (scripts/prerender.js writes their output into index.html)
+     */
+    renderContent() {
         this.renderHeroSection();
+        this.renderSeoMetadata();
         this.renderSocialLinks();
         this.renderAboutSection();
-        this.renderProjectsSection();
-        this.renderJamsSection();
-        this.renderPrototypesSection();
+        this.renderCollections();
         this.renderExperienceSection();
         this.renderSkillsSection();
         this.renderEducationSection();
     }
 
+    /**
+     * Take over a pre-rendered page: its content is already in place, so only what depends
+     * on this visit is rendered (data warnings, the filter from the URL, text computed from
+     * today's date) plus collections that have no section in the page
+     */
+    hydrateSections() {
+        this.renderDataWarnings();
+        this.collections
+            .filter(collection => !document.getElementById(collection.id))
+            .forEach(collection => this.renderCollectionSection(collection));
+        this.renderFilterBar();
+        
+        // Experience totals and "Present" durations were computed when the page was built
+        this.renderHeroExperience();
+        this.renderAboutSection();
+        this.renderExperienceSection();
+    }
+
+    /**
+     * Render visible warning for data entries skipped by validation
+     */
+    renderDataWarnings() {
+        const container = document.getElementById('data-warnings');
+        if (!container) return;
+        
+        const sources = [this.getDataFile(this.currentLanguage), 'data/social.json'];
+        const results = sources
+            .filter(source => this.dataWarnings[source]?.errors.length > 0)
+            .map(source => ({ source, ...this.dataWarnings[source] }));
+        
+        if (results.length === 0) {
+            container.classList.add('is-hidden');
+            container.innerHTML = '';
+            return;
+        }
+        
+        const skippedCount = results.reduce((total, result) => total + result.skipped.length, 0);
+        const errorCount = results.reduce((total, result) => total + result.errors.length, 0);
+        const summary = skippedCount > 0
+            ? this.t('warnings.skipped', { count: skippedCount })
+            : this.t('warnings.issues', { count: errorCount });
+        
+        container.innerHTML = html`
+            <details>
+                <summary>⚠️ ${summary}</summary>
+                <ul class="data-warnings-list">
+                    ${results.map(result => result.errors.map(error => html`
+                        <li><code>${result.source}</code> ${DataValidator.formatPath(error.path)} ${error.message}</li>
+                    `))}
+                </ul>
+            </details>
+        `;
+        container.classList.remove('is-hidden');
+    }
+
     /**
      * Render hero section
      */
     renderHeroSection() {
         const heroName = document.getElementById('hero-name');
-        const heroTitle = document.getElementById('hero-title');
         const heroLocation = document.getElementById('hero-location');
         const navTitle = document.getElementById('nav-title');
+        const heroAvatar = document.getElementById('hero-avatar');
+        
+        const intro = this.data.intro || {};
+        const avatar = this.data.header?.avatar;
+        
+        if (heroName) heroName.textContent = intro.name || '';
+        if (heroLocation) heroLocation.textContent = intro.location || '';
         
-        if (heroName) heroName.textContent = this.data.intro.name;
-        if (heroTitle) heroTitle.textContent = this.data.intro.title;
-        if (heroLocation) heroLocation.textContent = this.data.intro.location;
+        // Above the fold, so it loads right away
+        if (heroAvatar && avatar) {
+            heroAvatar.innerHTML = this.renderImage(avatar, { alt: intro.name || '', className: 'avatar-large', sizes: '120px', eager: true });
+        }
+        
+        this.renderHeroExperience();
         
         // Update navigation title
         if (navTitle) {
-            const portfolioText = this.currentLanguage === 'ru' ? 'Портфолио' : 'Portfolio';
-            navTitle.textContent = `${this.data.intro.name} - ${portfolioText}`;
+            navTitle.textContent = intro.name ? `${intro.name} - ${this.t('header.portfolio')}` : this.t('header.portfolio');
+        }
+        
+        // Update page title, description, icons and app manifest
+        if (this.data.meta?.title) document.title = this.data.meta.title;
+        if (this.data.meta?.description) {
+            document.querySelector('meta[name="description"]')?.setAttribute('content', this.data.meta.description);
         }
+        if (this.data.meta?.favicon) {
+            document.querySelector('link[rel="icon"]')?.setAttribute('href', this.resolveAsset(this.data.meta.favicon));
+            document.querySelector('link[rel="apple-touch-icon"]')?.setAttribute('href', this.resolveAsset(this.data.meta.favicon));
+        }
+        document.querySelector('link[rel="manifest"]')?.setAttribute('href', this.resolveAsset(this.getManifestFile(this.currentLanguage)));
+    }
+
+    /**
+     * Hero text computed from the experience periods: the total experience and the title
+     * (which may hold {{yearsOfExperience}})
+     */
+    renderHeroExperience() {
+        const heroTitle = document.getElementById('hero-title');
+        const heroExperience = document.getElementById('hero-experience');
+        
+        if (heroTitle) heroTitle.textContent = this.fillContentTokens(this.data.intro?.title);
+        if (heroExperience) {
+            const months = this.getExperienceMonths();
+            heroExperience.textContent = months > 0 ? this.t('hero.experience', { count: Math.floor(months / 12) }) : '';
+            heroExperience.classList.toggle('is-hidden', months < 12);
+        }
+    }
+
+    /**
+     * Web app manifest of a language, next to its page (manifest.webmanifest, ru/manifest.webmanifest)
+     */
+    getManifestFile(code) {
+        return code === this.languageManifest.default ? 'manifest.webmanifest' : `${code}/manifest.webmanifest`;
+    }
+
+    /**
+     * Web app manifest for the current language, written by scripts/prerender.js.
+     * Shortcuts open the collections marked `appShortcut` and the CV.
+     * @param {Object} options
+     * @param {string} options.root - Path from the manifest to the site root ('' or '../')
+     * @param {Array<{src: string, sizes: string, type: string}>} options.icons - Icons, `src` relative to the site root
+     * @param {string} options.themeColor
+     * @param {string} options.backgroundColor
+     * @returns {Object}
+     */
+    getWebManifest({ root, icons, themeColor, backgroundColor }) {
+        const intro = this.data.intro || {};
+        const manifestIcons = icons.map(icon => ({ ...icon, src: `${root}${icon.src}` }));
+        const shortcuts = [
+            ...this.collections
+                .filter(collection => collection.appShortcut && (this.data[collection.id] || []).length > 0)
+                .map(collection => ({ name: this.t(`nav.${collection.id}`), url: `./#${collection.id}` })),
+            { name: this.t('cv.title'), url: './?view=cv' }
+        ];
+        
+        return compactObject({
+            name: this.data.meta?.title || intro.name,
+            short_name: intro.name,
+            description: this.data.meta?.description,
+            lang: this.currentLanguage,
+            start_url: './',
+            scope: root || './', // The whole site, so switching language stays in the app
+            display: 'standalone',
+            theme_color: themeColor,
+            background_color: backgroundColor,
+            icons: manifestIcons,
+            shortcuts: shortcuts.map(shortcut => ({ ...shortcut, icons: manifestIcons }))
+        });
+    }
+
+    /**
+     * Render link preview tags, canonical and hreflang links and JSON-LD structured data into <head>
+     * (needs `meta.siteUrl`, as every URL in them is absolute)
+     */
+    renderSeoMetadata() {
+        document.querySelectorAll('[data-seo]').forEach(element => element.remove());
+        
+        const siteUrl = this.data.meta?.siteUrl;
+        if (!siteUrl || !document.head) return;
+        
+        const intro = this.data.intro || {};
+        const defaultLanguage = this.languageManifest.default;
+        const url = getLanguagePageUrl(siteUrl, this.currentLanguage, defaultLanguage);
+        const alternates = this.supportedLanguages.map(code => ({
+            code,
+            url: getLanguagePageUrl(siteUrl, code, defaultLanguage),
+            locale: this.getLanguageInfo(code)?.locale || code
+        }));
+        
+        // Link previews show the newest featured card, else the avatar
+        const featured = this.getCVProjects().find(card => card.item.featured && this.getCardImage(card.item, card.collection));
+        const avatar = this.data.header?.avatar;
+        const image = featured ? this.getCardImage(featured.item, featured.collection) : avatar;
+        
+        const tags = buildSeoTags({
+            url,
+            title: this.data.meta?.title || document.title,
+            description: this.data.meta?.description,
+            image: image ? new URL(image, siteUrl).href : '',
+            imageAlt: featured ? featured.item.title : intro.name,
+            largeImage: Boolean(featured),
+            locale: this.getLanguageInfo(this.currentLanguage)?.locale || this.currentLanguage,
+            alternates,
+            defaultUrl: siteUrl
+        });
+        
+        const social = this.socialData?.social || [];
+        const person = {
+            name: intro.name,
+            jobTitle: this.fillContentTokens(intro.title),
+            description: this.data.meta?.description,
+            url,
+            image: avatar ? new URL(avatar, siteUrl).href : '',
+            homeLocation: intro.location ? { '@type': 'Place', name: intro.location } : undefined,
+            email: social.map(link => link.url).find(link => /^mailto:/i.test(link))?.replace(/^mailto:/i, ''),
+            sameAs: social.map(link => link.url).filter(link => /^https?:\/\//i.test(link)),
+            knowsAbout: (this.data.skills || []).map(skill => skill.name).filter(Boolean)
+        };
         
-        // Update page title
-        document.title = this.data.meta.title;
+        const works = this.collections.flatMap(collection => (this.data[collection.id] || []).map(item => {
+            const type = collection.structuredDataType || 'CreativeWork';
+            const itemImage = this.getCardImage(item, collection);
+            return {
+                '@type': type,
+                '@id': item.id ? `${url}#${collection.id}/${item.id}` : undefined,
+                name: item.title,
+                description: markdownToText(item.description),
+                genre: item.genre,
+                image: itemImage ? new URL(itemImage, siteUrl).href : '',
+                keywords: (item.techTags || []).join(', '),
+                gamePlatform: type === 'VideoGame' ? getItemPlatforms(item).map(platform => this.t(`filters.platforms.${platform}`)) : undefined,
+                sameAs: (item.links || []).map(link => link.url).filter(link => /^https?:\/\//i.test(link || '')),
+                inLanguage: this.currentLanguage
+            };
+        }));
+        
+        document.head.insertAdjacentHTML('beforeend', renderSeoMarkup(tags, buildStructuredData(person, works)));
     }
 
     /**
@@ -181,7 +826,7 @@ class ModernPortfolioManager {
         const socialContainer = document.getElementById('social-links');
         
         if (contactTitle) {
-            contactTitle.textContent = this.currentLanguage === 'ru' ? 'Контакты' : 'Contact';
+            contactTitle.textContent = this.t('sections.contact');
         }
         
         if (!socialContainer || !this.socialData?.social) return;
@@ -190,15 +835,15 @@ class ModernPortfolioManager {
             // Support language-specific URLs (e.g., for CV)
             const url = social.urls?.[this.currentLanguage] || social.url;
             const hiddenClass = social.hidden ? ' is-hidden' : '';
-            return `
+            return html`
             <a href="${url}" target="_blank" rel="noopener noreferrer" class="social-link${hiddenClass}">
                 <div class="social-icon">${this.getSocialIcon(social.icon)}</div>
                 <div class="social-name">${social.name}</div>
             </a>
         `;
-        }).join('');
+        });
         
-        socialContainer.innerHTML = socialHTML;
+        socialContainer.innerHTML = html`${socialHTML}`;
     }
 
     /**
@@ -214,9 +859,10 @@ class ModernPortfolioManager {
             'fa-itch-io': '<i class="fab fa-itch-io"></i>',
             'fa-file-code': '<i class="fas fa-file-code"></i>',
             'fa-envelope': '<i class="fas fa-envelope"></i>',
+            'fa-trophy': '<i class="fas fa-trophy"></i>',
             'fa-file-pdf': '<i class="fas fa-file-alt"></i>'
         };
-        return icons[iconName] || '<i class="fas fa-link"></i>';
+        return rawHTML(icons[iconName] || '<i class="fas fa-link"></i>');
     }
 
     /**
@@ -226,224 +872,183 @@ class ModernPortfolioManager {
         const aboutTitle = document.getElementById('about-title');
         const aboutContent = document.getElementById('about-content');
         
-        if (aboutTitle) aboutTitle.textContent = this.data.about.title;
+        if (aboutTitle) aboutTitle.textContent = this.data.about?.title || '';
         if (aboutContent) {
-            // Convert newlines to <br> tags for proper formatting
-            const formattedContent = this.data.about.content
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/\n/g, '<br>');
-            aboutContent.innerHTML = formattedContent;
+            // Markdown: blank lines separate paragraphs, single newlines become <br>
+            aboutContent.innerHTML = renderMarkdown(this.fillContentTokens(this.data.about?.content));
         }
     }
 
     /**
-     * Render projects section
+     * Render all card collections (projects, jams, prototypes, ...) from data/collections.json
      */
-    renderProjectsSection() {
-        const projectsTitle = document.getElementById('projects-title');
-        const projectsGrid = document.getElementById('projects-grid');
-        
-        if (projectsTitle) {
-            projectsTitle.textContent = this.currentLanguage === 'ru' ? 'Портфолио игр' : 'Games Portfolio';
+    renderCollections() {
+        this.collections.forEach(collection => this.renderCollectionSection(collection));
+    }
+
+    /**
+     * Render one collection section, creating its section and nav entry if the page has none
+     */
+    renderCollectionSection(collection) {
+        const section = document.getElementById(collection.id) || this.createCollectionSection(collection);
+        const title = document.getElementById(`${collection.id}-title`);
+        const grid = document.getElementById(`${collection.id}-grid`);
+        const items = this.data[collection.id];
+        
+        if (title) {
+            title.textContent = this.t(`sections.${collection.id}`);
         }
         
-        if (!projectsGrid) return;
+        if (!grid) return;
         
-        const projectsHTML = this.data.projects.map((project, index) => {
-            const ext = project.imageExtension || 'jpg';
-            const thumbImage = project.imageThumb || project.image;
-            const featuredClass = project.featured ? ' featured' : '';
-            
-            const contributionLabel = this.currentLanguage === 'ru' ? 'мой вклад:' : 'my contribution:';
-            
-            return `
-                <div class="project-card${featuredClass}">
-                    <img 
-                        src="images/thumbs/${thumbImage}.${ext}" 
-                        alt="${project.title}"
-                        class="project-image"
-                        data-index="${index}"
-                    >
-                    <div class="project-content">
-                        <div class="project-header">
-                            <h3 class="project-title">${project.title}</h3>
-                            ${project.genre ? `<span class="project-genre">${project.genre}</span>` : ''}
-                        </div>
-                        ${project.role ? `<div class="project-role">${project.role}</div>` : ''}
-                        ${project.techTags && project.techTags.length > 0 ? `
-                            <div class="project-tech-tags">
-                                ${project.techTags.map(tag => `<span class="tech-tag">[${tag}]</span>`).join('')}
-                            </div>
-                        ` : ''}
-                        <p class="project-description">${project.description}</p>
-                        ${project.contribution && (Array.isArray(project.contribution) ? project.contribution.length > 0 : project.contribution) ? `
-                            <div class="project-contribution">
-                                <span class="contribution-label">${contributionLabel}</span>
-                                ${Array.isArray(project.contribution) ? `
-                                    <ul class="contribution-list">
-                                        ${project.contribution.map(item => `<li>${item}</li>`).join('')}
-                                    </ul>
-                                ` : `<p class="contribution-text">${project.contribution}</p>`}
-                            </div>
-                        ` : ''}
-                        <div class="project-links">
-                            ${project.links.map(link => `
-                                <a href="${link.url}" target="_blank" rel="noopener noreferrer" class="project-link">
-                                    <span class="project-link-icon">${this.getLinkIcon(link.icon || link.text)}</span>
-                                    <span>${link.text}</span>
-                                </a>
-                            `).join('')}
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        // Hide section if collection is empty
+        if (!Array.isArray(items) || items.length === 0) {
+            if (section) section.style.display = 'none';
+            grid.innerHTML = '';
+            return;
+        } else {
+            if (section) section.style.display = '';
+        }
         
-        projectsGrid.innerHTML = projectsHTML;
+        grid.innerHTML = html`${items.map((item, index) => this.renderCard(item, index, collection))}`;
     }
 
     /**
-     * Render jams section
+     * Create section and mobile nav entry for a collection defined only in JSON
      */
-    renderJamsSection() {
-        const jamsTitle = document.getElementById('jams-title');
-        const jamsGrid = document.getElementById('jams-grid');
+    createCollectionSection(collection) {
+        const prefix = collection.classPrefix;
+        const section = document.createElement('section');
+        section.className = `${prefix}s-section`;
+        section.id = collection.id;
+        section.innerHTML = html`
+            <div class="section-header">
+                <h2 class="section-title" id="${collection.id}-title"></h2>
+            </div>
+            <div class="${prefix}s-grid" id="${collection.id}-grid"></div>
+        `;
         
-        if (jamsTitle) {
-            jamsTitle.textContent = this.currentLanguage === 'ru' ? 'Джемы' : 'Jams';
+        // Place after the previous collection's section to keep data order
+        const previous = this.getPreviousCollectionElement(collection, id => document.getElementById(id));
+        const container = document.querySelector('main.container');
+        if (previous) {
+            previous.after(section);
+        } else if (container) {
+            container.appendChild(section);
         }
         
-        if (!jamsGrid || !this.data.jams) return;
-        
-        const contributionLabel = this.currentLanguage === 'ru' ? 'мой вклад:' : 'my contribution:';
-        
-        const jamsHTML = this.data.jams.map((jam) => {
-            const ext = jam.imageExtension || 'png';
-            const thumbImage = jam.imageThumb || jam.image;
+        const navLinks = document.querySelector('.mobile-nav-links');
+        if (navLinks) {
+            const navItem = document.createElement('li');
+            navItem.innerHTML = html`<a href="#${collection.id}" class="mobile-nav-link" data-section="${collection.id}"><span class="nav-icon"><i class="fas ${collection.icon || 'fa-folder'}"></i></span><span id="nav-${collection.id}"></span></a>`;
             
-            return `
-                <div class="jam-card">
-                    <img 
-                        src="images/thumbs/${thumbImage}.${ext}" 
-                        alt="${jam.title}"
-                        class="jam-image"
-                    >
-                    <div class="jam-content">
-                        <div class="jam-header">
-                            <h3 class="jam-title">${jam.title}</h3>
-                            ${jam.genre ? `<span class="jam-genre">${jam.genre}</span>` : ''}
-                        </div>
-                        ${jam.event ? `<div class="jam-event">${jam.event}</div>` : ''}
-                        ${jam.techTags && jam.techTags.length > 0 ? `
-                            <div class="jam-tech-tags">
-                                ${jam.techTags.map(tag => `<span class="tech-tag">[${tag}]</span>`).join('')}
-                            </div>
-                        ` : ''}
-                        <p class="jam-description">${jam.description}</p>
-                        ${jam.contribution && (Array.isArray(jam.contribution) ? jam.contribution.length > 0 : jam.contribution) ? `
-                            <div class="jam-contribution">
-                                <span class="contribution-label">${contributionLabel}</span>
-                                ${Array.isArray(jam.contribution) ? `
-                                    <ul class="contribution-list">
-                                        ${jam.contribution.map(item => `<li>${item}</li>`).join('')}
-                                    </ul>
-                                ` : `<p class="contribution-text">${jam.contribution}</p>`}
-                            </div>
-                        ` : ''}
-                        <div class="jam-links">
-                            ${jam.links.map(link => `
-                                <a href="${link.url}" target="_blank" rel="noopener noreferrer" class="project-link">
-                                    <span class="project-link-icon">${this.getLinkIcon(link.icon || link.text)}</span>
-                                    <span>${link.text}</span>
-                                </a>
-                            `).join('')}
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+            const previousNav = this.getPreviousCollectionElement(collection, id => navLinks.querySelector(`[data-section="${id}"]`)?.closest('li'));
+            if (previousNav) {
+                previousNav.after(navItem);
+            } else {
+                navLinks.appendChild(navItem);
+            }
+        }
         
-        jamsGrid.innerHTML = jamsHTML;
+        console.log(`🧩 Created section for collection: ${collection.id}`);
+        return section;
     }
 
     /**
-     * Render prototypes section
+     * Find the element of the nearest preceding collection that exists in the page
      */
-    renderPrototypesSection() {
-        const prototypesTitle = document.getElementById('prototypes-title');
-        const prototypesGrid = document.getElementById('prototypes-grid');
-        
-        if (prototypesTitle) {
-            prototypesTitle.textContent = this.currentLanguage === 'ru' ? 'Прототипы' : 'Prototypes';
-        }
-        
-        if (!prototypesGrid || !this.data.prototypes) return;
-        
-        // Hide section if no prototypes
-        const prototypesSection = document.getElementById('prototypes');
-        if (this.data.prototypes.length === 0) {
-            if (prototypesSection) prototypesSection.style.display = 'none';
-            return;
-        } else {
-            if (prototypesSection) prototypesSection.style.display = '';
+    getPreviousCollectionElement(collection, findElement) {
+        const index = this.collections.indexOf(collection);
+        for (let i = index - 1; i >= 0; i--) {
+            const element = findElement(this.collections[i].id);
+            if (element) return element;
         }
-        
-        const contributionLabel = this.currentLanguage === 'ru' ? 'мой вклад:' : 'my contribution:';
-        
-        const prototypesHTML = this.data.prototypes.map((prototype) => {
-            const hasImage = prototype.image || prototype.imageThumb;
-            const ext = prototype.imageExtension || 'png';
-            const thumbImage = prototype.imageThumb || prototype.image;
-            
-            return `
-                <div class="prototype-card ${hasImage ? '' : 'no-image'}">
-                    ${hasImage ? `
-                        <img 
-                            src="images/thumbs/${thumbImage}.${ext}" 
-                            alt="${prototype.title}"
-                            class="prototype-image"
-                        >
+        return null;
+    }
+
+    /**
+     * Render a single card using the collection schema
+     */
+    renderCard(item, index, collection) {
+        const prefix = collection.classPrefix;
+        const show = field => collection.fields.includes(field);
+        
+        const thumbImage = this.getCardImage(item, collection);
+        const hasImage = show('image') && Boolean(thumbImage);
+        const badge = show('badge') ? item[collection.badgeField] : null;
+        const contribution = item.contribution;
+        const hasContribution = show('contribution') && (Array.isArray(contribution) ? contribution.length > 0 : Boolean(contribution));
+        const links = show('links') && Array.isArray(item.links) ? item.links : [];
+        
+        const cardClasses = [`${prefix}-card`];
+        if (item.featured) cardClasses.push('featured');
+        if (!hasImage) cardClasses.push('no-image');
+        
+        return html`
+            <div class="${cardClasses.join(' ')}" data-index="${index}" ${item.id ? html`data-item-id="${item.id}"` : ''}>
+                ${hasImage ? html`
+                    ${this.renderImage(thumbImage, {
+                        alt: item.title,
+                        className: `${prefix}-image`,
+                        sizes: collection.imageSizes,
+                        attributes: collection.modal ? html`data-gallery="${collection.id}" data-index="${index}"` : ''
+                    })}
+                ` : ''}
+                <div class="${prefix}-content">
+                    <div class="${prefix}-header">
+                        <h3 class="${prefix}-title">${item.title}</h3>
+                        ${show('genre') && item.genre ? html`<span class="${prefix}-genre">${item.genre}</span>` : ''}
+                    </div>
+                    ${badge ? html`<div class="${prefix}-${collection.badgeField}">${badge}</div>` : ''}
+                    ${show('techTags') && item.techTags && item.techTags.length > 0 ? html`
+                        <div class="${prefix}-tech-tags">
+                            ${item.techTags.map(tag => html`<span class="tech-tag">[${tag}]</span>`)}
+                        </div>
                     ` : ''}
-                    <div class="prototype-content">
-                        <div class="prototype-header">
-                            <h3 class="prototype-title">${prototype.title}</h3>
-                            ${prototype.genre ? `<span class="prototype-genre">${prototype.genre}</span>` : ''}
+                    ${show('description') && item.description ? html`<div class="${prefix}-description rich-text">${renderMarkdown(item.description)}</div>` : ''}
+                    ${hasContribution ? html`
+                        <div class="${prefix}-contribution">
+                            <span class="contribution-label">${this.t('card.contribution')}</span>
+                            ${Array.isArray(contribution) ? html`
+                                <ul class="contribution-list">
+                                    ${contribution.map(entry => html`<li>${renderInlineMarkdown(entry)}</li>`)}
+                                </ul>
+                            ` : html`<div class="contribution-text rich-text">${renderMarkdown(contribution)}</div>`}
                         </div>
-                        ${prototype.status ? `<div class="prototype-status">${prototype.status}</div>` : ''}
-                        ${prototype.techTags && prototype.techTags.length > 0 ? `
-                            <div class="prototype-tech-tags">
-                                ${prototype.techTags.map(tag => `<span class="tech-tag">[${tag}]</span>`).join('')}
-                            </div>
-                        ` : ''}
-                        <p class="prototype-description">${prototype.description}</p>
-                        ${prototype.contribution && (Array.isArray(prototype.contribution) ? prototype.contribution.length > 0 : prototype.contribution) ? `
-                            <div class="prototype-contribution">
-                                <span class="contribution-label">${contributionLabel}</span>
-                                ${Array.isArray(prototype.contribution) ? `
-                                    <ul class="contribution-list">
-                                        ${prototype.contribution.map(item => `<li>${item}</li>`).join('')}
-                                    </ul>
-                                ` : `<p class="contribution-text">${prototype.contribution}</p>`}
-                            </div>
-                        ` : ''}
-                        ${prototype.links && prototype.links.length > 0 ? `
-                            <div class="prototype-links">
-                                ${prototype.links.map(link => `
-                                    <a href="${link.url}" target="_blank" rel="noopener noreferrer" class="project-link">
-                                        <span class="project-link-icon">${this.getLinkIcon(link.icon || link.text)}</span>
-                                        <span>${link.text}</span>
-                                    </a>
-                                `).join('')}
-                            </div>
-                        ` : ''}
-                    </div>
+                    ` : ''}
+                    ${item.caseStudy && item.id ? html`
+                        <a href="#${collection.id}/${item.id}/case-study" class="case-study-link" data-route>
+                            <i class="fas fa-book-open"></i>
+                            <span>${this.t('caseStudy.open')}</span>
+                        </a>
+                    ` : ''}
+                    ${links.length > 0 ? html`<div class="${prefix}-links">${this.renderLinks(links)}</div>` : ''}
                 </div>
-            `;
-        }).join('');
+            </div>
+        `;
+    }
+
+    /**
+     * Thumbnail path of a card, or null when the item has no image
+     */
+    getCardImage(item, collection) {
+        const thumbImage = item.imageThumb || item.image;
+        if (!thumbImage) return null;
         
-        prototypesGrid.innerHTML = prototypesHTML;
+        const ext = item.imageExtension || collection.imageExtension || 'png';
+        return `images/thumbs/${thumbImage}.${ext}`;
+    }
+
+    /**
+     * Render external links with their icons
+     */
+    renderLinks(links) {
+        return html`${links.map(link => html`
+            <a href="${link.url}" target="_blank" rel="noopener noreferrer" class="project-link">
+                <span class="project-link-icon">${this.getLinkIcon(link.icon || link.text)}</span>
+                <span>${link.text}</span>
+            </a>
+        `)}`;
     }
 
     /**
@@ -470,7 +1075,7 @@ class ModernPortfolioManager {
             'discord': '<i class="fab fa-discord"></i>'
         };
         
-        return icons[iconName] || '<i class="fas fa-external-link-alt"></i>';
+        return rawHTML(icons[iconName] || '<i class="fas fa-external-link-alt"></i>');
     }
 
     /**
@@ -481,369 +1086,1874 @@ class ModernPortfolioManager {
         const experienceList = document.getElementById('experience-list');
         
         if (experienceTitle) {
-            experienceTitle.textContent = this.currentLanguage === 'ru' ? 'Опыт работы' : 'Experience';
+            experienceTitle.textContent = this.t('sections.experience');
         }
         
         if (!experienceList || !this.data.experience) return;
         
-        const experienceHTML = this.data.experience.map(exp => `
-            <div class="experience-item">
+        const experienceHTML = this.data.experience.map(exp => html`
+            <div class="experience-item" ${exp.id ? html`data-item-id="${exp.id}"` : ''}>
                 <div class="experience-header">
                     <div class="experience-company">
-                        ${exp.url ? `<a href="${exp.url}" target="_blank" rel="noopener noreferrer">${exp.company}</a>` : exp.company}
+                        ${exp.url ? html`<a href="${exp.url}" target="_blank" rel="noopener noreferrer">${exp.company}</a>` : exp.company}
                     </div>
                     <div class="experience-title">${exp.title}</div>
                     <div class="experience-meta">
-                        <span class="experience-period">${exp.period}</span>
-                        ${exp.location ? `<span class="experience-location">${exp.location}</span>` : ''}
+                        <span class="experience-period">${exp.period}${this.renderDuration(exp)}</span>
+                        ${exp.location ? html`<span class="experience-location">${exp.location}</span>` : ''}
                     </div>
                 </div>
-                <div class="experience-description">${exp.description}</div>
-                ${exp.achievements && exp.achievements.length > 0 ? `
+                <div class="experience-description rich-text">${renderMarkdown(exp.description)}</div>
+                ${exp.achievements && exp.achievements.length > 0 ? html`
                     <ul class="experience-achievements">
-                        ${exp.achievements.map(achievement => `<li>${achievement}</li>`).join('')}
+                        ${exp.achievements.map(achievement => html`<li>${renderInlineMarkdown(achievement)}</li>`)}
                     </ul>
                 ` : ''}
             </div>
-        `).join('');
+        `);
+        
+        experienceList.innerHTML = html`${experienceHTML}`;
+    }
+
+    /**
+     * Render the length of a dated entry ("1 yr 5 mos"); nothing when its period doesn't parse
+     */
+    renderDuration(item) {
+        const period = getItemPeriod(item);
+        return period ? html`<span class="experience-duration">${this.formatDuration(getPeriodMonths(period))}</span>` : '';
+    }
+
+    /**
+     * Format a number of months as localized years and months
+     */
+    formatDuration(months) {
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        return [
+            years > 0 ? this.t('duration.years', { count: years }) : '',
+            rest > 0 || years === 0 ? this.t('duration.months', { count: rest }) : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Total months of experience, overlapping roles counted once
+     */
+    getExperienceMonths() {
+        const periods = (this.data.experience || []).map(exp => getItemPeriod(exp)).filter(Boolean);
+        return getTotalMonths(periods);
+    }
+
+    /**
+     * Replace {{token}} placeholders in content text with computed values
+     * (e.g. "{{yearsOfExperience}}+ years in games"); unknown tokens are left as they are
+     */
+    fillContentTokens(text) {
+        if (typeof text !== 'string' || !text.includes('{{')) return text || '';
+        
+        const tokens = {
+            yearsOfExperience: () => String(Math.floor(this.getExperienceMonths() / 12))
+        };
+        
+        return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (tokens[name]) return tokens[name]();
+            console.warn(`⚠️ Unknown content token: ${match}`);
+            return match;
+        });
+    }
+
+    /**
+     * Render skills section
+     */
+    renderSkillsSection() {
+        const skillsTitle = document.getElementById('skills-title');
+        const skillsGrid = document.getElementById('skills-grid');
+        
+        if (skillsTitle) {
+            skillsTitle.textContent = this.t('sections.skills');
+        }
+        
+        if (!skillsGrid || !this.data.skills) return;
+        
+        const groups = this.getSkillGroups();
+        const skillIndex = this.getSkillIndex();
+        const items = this.getFilterItems();
+        
+        skillsGrid.innerHTML = html`${groups.map(({ category, skills }) => html`
+            <div class="skill-group" data-category="${category.id}">
+                <h3 class="skill-group-title">
+                    ${category.icon ? html`<i class="fas ${category.icon}"></i>` : ''}
+                    <span>${category.label || category.id}</span>
+                </h3>
+                <div class="skill-group-items">
+                    ${skills.map(skill => this.renderSkillItem(skill, skill.id ? items.filter(item => itemHasSkill(item, skill.id, skillIndex)).length : 0))}
+                </div>
+            </div>
+        `)}`;
+        
+        this.renderSkillStats();
+    }
+
+    /**
+     * Render skill usage as an SVG bar chart: one row per used skill, stacked by collection,
+     * with the years its cards cover (every card counts, whatever the filter)
+     */
+    renderSkillStats() {
+        const container = document.getElementById('skill-stats');
+        if (!container) return;
+        
+        const skillIndex = this.getSkillIndex();
+        const entries = this.collections.flatMap(collection => (this.data[collection.id] || [])
+            .map(item => ({ section: collection.id, item, period: getItemPeriod(item) })));
+        const stats = computeSkillStats(this.data.skills, entries, (item, skillId) => itemHasSkill(item, skillId, skillIndex));
+        
+        container.classList.toggle('is-hidden', stats.length === 0);
+        if (stats.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        // Chart geometry in viewBox units; the SVG scales to the container width
+        const width = 600;
+        const rowHeight = 28;
+        const barHeight = 16;
+        const labelWidth = 190;
+        const barsWidth = 280;
+        const unit = barsWidth / Math.max(...stats.map(stat => stat.total));
+        const sections = this.collections.map(collection => collection.id).filter(id => stats.some(stat => stat.counts[id]));
+        
+        const rows = stats.map((stat, row) => {
+            const years = stat.start === null ? '' : [...new Set([Math.floor(stat.start / 12), Math.floor(stat.end / 12)])].join('–');
+            const breakdown = sections.filter(id => stat.counts[id]).map(id => `${this.t(`nav.${id}`)}: ${stat.counts[id]}`).join(', ');
+            let x = labelWidth;
+            
+            return html`
+                <g class="skill-stats-row" transform="translate(0 ${row * rowHeight})">
+                    <title>${[stat.skill.name, breakdown, years].filter(Boolean).join(' · ')}</title>
+                    <text class="skill-stats-label" x="${labelWidth - 10}" y="${rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${stat.skill.name}</text>
+                    ${sections.filter(id => stat.counts[id]).map(id => {
+                        const segment = html`<rect class="skill-stats-segment timeline-${id}" x="${x}" y="${(rowHeight - barHeight) / 2}" width="${stat.counts[id] * unit}" height="${barHeight}"></rect>`;
+                        x += stat.counts[id] * unit;
+                        return segment;
+                    })}
+                    <text class="skill-stats-value" x="${x + 8}" y="${rowHeight / 2}" dominant-baseline="middle">${[stat.total, years].filter(Boolean).join(' · ')}</text>
+                </g>
+            `;
+        });
+        
+        container.innerHTML = html`
+            <h3 class="skill-group-title"><i class="fas fa-chart-bar"></i><span>${this.t('skills.stats')}</span></h3>
+            <div class="timeline-legend">
+                ${sections.map(id => html`<span class="timeline-legend-item timeline-${id}">${this.t(`nav.${id}`)}</span>`)}
+            </div>
+            <svg class="skill-stats-chart" viewBox="0 0 ${width} ${stats.length * rowHeight}" role="img" aria-label="${this.t('skills.stats')}">
+                ${rows}
+            </svg>
+        `;
+    }
+
+    /**
+     * Skills grouped by category, in the order of skillCategories; skills without a known category go last
+     * @returns {Array<{category: Object, skills: Object[]}>} Non-empty groups
+     */
+    getSkillGroups() {
+        const categories = this.data.skillCategories || [];
+        return [...categories, { id: 'other', label: this.t('skills.other'), icon: 'fa-ellipsis-h' }]
+            .map(category => ({
+                category,
+                skills: (this.data.skills || []).filter(skill => (categories.some(known => known.id === skill.category) ? skill.category : 'other') === category.id)
+            }))
+            .filter(group => group.skills.length > 0);
+    }
+
+    /**
+     * Render one skill; skills used by projects are buttons that filter the cards down to them
+     * @param {Object} skill
+     * @param {number} linked - Number of projects, jams and prototypes tagged with the skill
+     */
+    renderSkillItem(skill, linked) {
+        const content = html`
+            <span class="skill-name">${skill.name}</span>
+            ${skill.proficiency ? html`
+                <span class="skill-level" role="img" aria-label="${this.t('skills.proficiency', { level: skill.proficiency })}" title="${this.t('skills.proficiency', { level: skill.proficiency })}">
+                    ${[1, 2, 3, 4, 5].map(level => html`<span class="skill-level-dot${level <= skill.proficiency ? ' filled' : ''}"></span>`)}
+                </span>
+            ` : ''}
+            ${skill.years ? html`<span class="skill-years">${this.t('duration.years', { count: skill.years })}</span>` : ''}
+            ${linked > 0 ? html`<span class="skill-count" title="${this.t('skills.linked', { count: linked })}">${linked}</span>` : ''}
+        `;
+        
+        if (linked === 0) {
+            return html`<div class="skill-item" data-category="${skill.category || 'other'}">${content}</div>`;
+        }
+        
+        return html`
+            <button type="button" class="skill-item" data-category="${skill.category || 'other'}" data-filter="skills" data-value="${skill.id}" data-filter-reveal aria-pressed="false">${content}</button>
+        `;
+    }
+
+    /**
+     * Render education section
+     */
+    renderEducationSection() {
+        const educationTitle = document.getElementById('education-title');
+        const educationList = document.getElementById('education-list');
+        
+        if (educationTitle) {
+            educationTitle.textContent = this.t('sections.education');
+        }
+        
+        if (!educationList || !this.data.education) return;
+        
+        const educationHTML = this.data.education.map(edu => html`
+            <div class="education-item" ${edu.id ? html`data-item-id="${edu.id}"` : ''}>
+                <div class="education-school">
+                    ${edu.url ? html`<a href="${edu.url}" target="_blank" rel="noopener noreferrer">${edu.institution}</a>` : edu.institution}
+                </div>
+                <div class="education-degree">${edu.degree}</div>
+                <div class="education-meta">
+                    <span class="education-period">${edu.period}</span>
+                    ${edu.location ? html`<span class="education-location">${edu.location}</span>` : ''}
+                </div>
+            </div>
+        `);
+        
+        educationList.innerHTML = html`${educationHTML}`;
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    initializeEventListeners() {
+        // Language picker
+        this.initializeLanguagePicker();
+        
+        // Card image clicks
+        document.addEventListener('click', (e) => {
+            const image = e.target.closest('[data-gallery]');
+            if (image) {
+                const collection = image.dataset.gallery;
+                const index = parseInt(image.dataset.index);
+                console.log(`🖼️ Opening image modal for ${collection} ${index}:`, this.galleries[collection]?.[index]);
+                this.openImageModal(collection, index, parseInt(image.dataset.mediaIndex) || 0);
+            }
+        });
+        
+        // Smooth scroll for internal links; route links (data-route) go through the router
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || e.defaultPrevented) return;
+            
+            e.preventDefault();
+            if (link.hasAttribute('data-case-study-back')) {
+                this.leaveCaseStudy();
+                return;
+            }
+            if (link.hasAttribute('data-route')) {
+                this.navigate(parseRoute({ search: window.location.search, hash: link.getAttribute('href') }));
+                return;
+            }
+            
+            const targetId = link.getAttribute('href').substring(1);
+            const target = targetId ? document.getElementById(targetId) : null;
+            if (target) {
+                if (this.activeCaseStudy) this.closeCaseStudy();
+                this.showSection(targetId);
+                this.updateRoute({ section: targetId });
+                target.scrollIntoView({ behavior: 'smooth' });
+            }
+        });
+    }
+
+    /**
+     * Initialize image modal
+     */
+    initializeImageModal() {
+        const modal = document.getElementById('image-modal');
+        const modalOverlay = document.getElementById('modal-overlay');
+        const modalClose = document.getElementById('modal-close');
+        const modalPrev = document.getElementById('modal-prev');
+        const modalNext = document.getElementById('modal-next');
+        
+        if (modalOverlay) {
+            modalOverlay.addEventListener('click', () => this.closeImageModal());
+        }
+        
+        if (modalClose) {
+            modalClose.addEventListener('click', () => this.closeImageModal());
+        }
+        
+        if (modalPrev) {
+            modalPrev.addEventListener('click', () => this.previousImage());
+        }
+        
+        if (modalNext) {
+            modalNext.addEventListener('click', () => this.nextImage());
+        }
+        
+        const modalImageStatus = document.getElementById('modal-image-status');
+        if (modalImageStatus) {
+            modalImageStatus.addEventListener('click', (e) => {
+                if (e.target.closest('[data-retry]')) this.retryModalImage();
+            });
+        }
+        
+        const modalThumbs = document.getElementById('modal-thumbs');
+        if (modalThumbs) {
+            modalThumbs.addEventListener('click', (e) => {
+                const thumb = e.target.closest('[data-media-index]');
+                if (thumb && this.activeGallery) {
+                    this.activeGallery.mediaIndex = parseInt(thumb.dataset.mediaIndex);
+                    this.updateModalImage();
+                }
+            });
+            
+            // Gallery entries without a thumbnail fall back to the full-size image
+            modalThumbs.addEventListener('error', (e) => {
+                const fallback = e.target.dataset?.fallback;
+                if (fallback && e.target.getAttribute('src') !== fallback) {
+                    e.target.setAttribute('src', fallback);
+                }
+            }, true);
+        }
+        
+        const modalMedia = document.getElementById('modal-media');
+        if (modalMedia) {
+            modalMedia.addEventListener('click', (e) => {
+                const placeholder = e.target.closest('[data-youtube]');
+                if (placeholder) this.loadYouTubePlayer(placeholder.dataset.youtube);
+            });
+        }
+        
+        this.updateModalLabels();
+        
+        // Keyboard navigation (arrows seek inside a focused video instead)
+        document.addEventListener('keydown', (e) => {
+            if (modal?.classList.contains('active')) {
+                if (e.target.tagName === 'VIDEO' && e.key !== 'Escape') return;
+                
+                switch (e.key) {
+                    case 'Escape':
+                        this.closeImageModal();
+                        break;
+                    case 'ArrowLeft':
+                        this.previousImage();
+                        break;
+                    case 'ArrowRight':
+                        this.nextImage();
+                        break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Update image modal button labels based on language
+     */
+    updateModalLabels() {
+        const labels = {
+            'modal-close': this.t('modal.close'),
+            'modal-prev': this.t('modal.previous'),
+            'modal-next': this.t('modal.next')
+        };
+        
+        Object.entries(labels).forEach(([id, label]) => {
+            document.getElementById(id)?.setAttribute('aria-label', label);
+        });
+    }
+
+    /**
+     * Open image modal on an item of a collection
+     */
+    openImageModal(collection, index, mediaIndex = 0) {
+        const modal = document.getElementById('image-modal');
+        const modalImage = document.getElementById('modal-image');
+        
+        if (!modal || !modalImage) {
+            console.error('❌ Modal elements not found');
+            return;
+        }
+        
+        const item = this.galleries[collection]?.[index];
+        if (!item || item.media.length === 0) {
+            console.error(`❌ No gallery media for ${collection} ${index}`);
+            return;
+        }
+        
+        const wasOpen = modal.classList.contains('active');
+        this.activeGallery = { collection, itemIndex: index, mediaIndex };
+        
+        // New history entry, so Back closes the modal
+        if (!wasOpen) this.updateRoute(this.getGalleryRoute());
+        
+        // Show loading state
+        modalImage.style.opacity = '0';
+        this.updateModalImage();
+        
+        modal.classList.add('active');
+        
+        // Already open (e.g. Forward onto another gallery entry): keep the saved scroll position
+        if (wasOpen) return;
+        
+        // Save current scroll position
+        this.scrollPosition = window.pageYOffset || document.documentElement.scrollTop;
+        
+        // Prevent page scrolling on mobile and maintain scroll position
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.top = `-${this.scrollPosition}px`;
+        document.body.style.width = '100%';
+    }
+
+    /**
+     * Close image modal
+     */
+    closeImageModal() {
+        const modal = document.getElementById('image-modal');
+        if (modal) {
+            const route = this.getGalleryRoute();
+            modal.classList.remove('active');
+            this.activeGallery = null;
+            this.stopModalMedia();
+            
+            // Drop pending image loads; loaded images stay cached for the next opening
+            this.modalImageRequest++;
+            this.imageLoader.cancelExcept([]);
+            this.setModalImageStatus(null);
+            
+            // Leave the URL pointing at what is under the modal: the case study or the card
+            if (route) {
+                this.updateRoute(this.getCaseStudyRoute() || { section: route.section, item: route.item }, true);
+            }
+            
+            // Save scroll position before removing fixed positioning
+            const scrollY = this.scrollPosition;
+            
+            // Restore body styles
+            document.body.style.overflow = '';
+            document.body.style.position = '';
+            document.body.style.top = '';
+            document.body.style.width = '';
+            
+            // Restore scroll position instantly without animation
+            window.scrollTo({
+                top: scrollY,
+                left: 0,
+                behavior: 'instant'
+            });
+        }
+    }
+
+    /**
+     * Navigate to previous image
+     */
+    previousImage() {
+        this.stepImage(-1);
+    }
+
+    /**
+     * Navigate to next image
+     */
+    nextImage() {
+        this.stepImage(1);
+    }
+
+    /**
+     * Move through the open item's gallery; past either end, continue with the neighbouring
+     * item of the same section in display order (wrapping around, skipping filtered-out cards)
+     */
+    stepImage(direction) {
+        const state = this.activeGallery;
+        if (!state) return;
+        
+        Object.assign(state, this.getSteppedPosition(direction));
+        this.updateModalImage();
+    }
+
+    /**
+     * Gallery position one step away from the open slide (see stepImage)
+     * @returns {{itemIndex: number, mediaIndex: number}}
+     */
+    getSteppedPosition(direction) {
+        const state = this.activeGallery;
+        const items = this.galleries[state.collection];
+        const mediaIndex = state.mediaIndex + direction;
+        
+        if (mediaIndex >= 0 && mediaIndex < items[state.itemIndex].media.length) {
+            return { itemIndex: state.itemIndex, mediaIndex };
+        }
+        
+        const order = this.getDisplayOrder(state.collection);
+        let position = order.indexOf(state.itemIndex);
+        let itemIndex;
+        do {
+            position = (position + direction + order.length) % order.length;
+            itemIndex = order[position];
+        } while ((items[itemIndex].media.length === 0 || !this.isItemShown(state.collection, itemIndex)) && itemIndex !== state.itemIndex);
+        
+        return { itemIndex, mediaIndex: direction > 0 ? 0 : items[itemIndex].media.length - 1 };
+    }
+
+    /**
+     * Update modal media, caption, counter and thumbnail strip
+     */
+    updateModalImage() {
+        const state = this.activeGallery;
+        const modalImage = document.getElementById('modal-image');
+        const modalMedia = document.getElementById('modal-media');
+        if (!state || !modalImage) return;
+        
+        const item = this.galleries[state.collection][state.itemIndex];
+        const slide = item.media[state.mediaIndex];
+        
+        // Pause whatever was playing before switching slides
+        this.stopModalMedia();
+        
+        const isImage = slide.type === 'image';
+        modalImage.classList.toggle('is-hidden', !isImage);
+        modalMedia?.classList.toggle('is-hidden', isImage);
+        
+        if (isImage) {
+            this.showModalImage(modalImage, slide);
+        } else {
+            // An image still loading for the previous slide must not replace this one
+            this.modalImageRequest++;
+            this.setModalImageStatus(null);
+            if (modalMedia) {
+                modalMedia.innerHTML = slide.type === 'video' ? this.renderModalVideo(slide) : this.renderYouTubePlaceholder(slide);
+            }
+        }
+        
+        const caption = document.getElementById('modal-caption');
+        if (caption) caption.textContent = slide.caption;
+        
+        const counter = document.getElementById('modal-counter');
+        if (counter) {
+            counter.textContent = this.t('modal.counter', { current: state.mediaIndex + 1, total: item.media.length });
+            counter.classList.toggle('is-hidden', item.media.length < 2);
+        }
+        
+        this.renderModalThumbs(item, state.mediaIndex);
+        this.prefetchNeighbourImages();
+        this.updateRoute(this.getGalleryRoute(), true);
+    }
+
+    /**
+     * Load an image slide (static or animated) into the modal
+     */
+    showModalImage(modalImage, slide) {
+        const candidates = this.getFullImageCandidates(slide);
+        const request = ++this.modalImageRequest;
+        
+        // Loaded (or prefetched) images show right away; the others behind a spinner
+        if (!this.imageLoader.isLoaded(candidates)) {
+            console.log(`📸 Loading full image: ${candidates[0]}`);
+            modalImage.classList.add('is-hidden');
+            this.setModalImageStatus('loading');
+        }
+        
+        this.imageLoader.load(candidates).then(src => {
+            // Another slide was chosen while this one loaded
+            if (request !== this.modalImageRequest) return;
+            
+            modalImage.src = src;
+            modalImage.alt = slide.caption;
+            modalImage.style.opacity = '1';
+            modalImage.classList.remove('is-hidden');
+            this.setModalImageStatus(null);
+        }, error => {
+            if (request !== this.modalImageRequest || ImageLoader.isAbortError(error)) return;
+            
+            console.error(`❌ ${error.message}`);
+            modalImage.classList.add('is-hidden');
+            this.setModalImageStatus('error');
+        });
+    }
+
+    /**
+     * Load the open image slide again after it failed
+     */
+    retryModalImage() {
+        const state = this.activeGallery;
+        const modalImage = document.getElementById('modal-image');
+        const slide = state && this.galleries[state.collection][state.itemIndex].media[state.mediaIndex];
+        
+        if (slide?.type === 'image' && modalImage) this.showModalImage(modalImage, slide);
+    }
+
+    /**
+     * Files of a slide's full-size image in the order to try them: the responsive variant that
+     * fills the viewport in the best format the browser decodes, the original, then the thumbnail
+     * (not every item has a full-size image)
+     */
+    getFullImageCandidates(slide) {
+        const formats = [...this.imageFormats, getImageExtension(slide.full)];
+        const width = Math.round(window.innerWidth * (window.devicePixelRatio || 1));
+        const variant = pickImageVariant(this.imageManifest?.[slide.full], formats, width);
+        
+        return [...new Set([variant?.src, slide.full, slide.thumb].filter(Boolean))].map(path => this.resolveAsset(path));
+    }
+
+    /**
+     * Spinner while the modal image loads, an error with a retry button when it couldn't be
+     * loaded, nothing once it shows
+     * @param {?string} state - 'loading', 'error' or null
+     */
+    setModalImageStatus(state) {
+        const status = document.getElementById('modal-image-status');
+        if (!status) return;
+        
+        status.classList.toggle('is-hidden', !state);
+        if (state === 'loading') {
+            status.innerHTML = html`<div class="spinner" role="img" aria-label="${this.t('modal.loading')}"></div>`;
+        } else if (state === 'error') {
+            status.innerHTML = html`
+                <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+                <span>${this.t('modal.loadError')}</span>
+                <button class="modal-retry" data-retry>${this.t('modal.retry')}</button>
+            `;
+        } else {
+            status.innerHTML = '';
+        }
+    }
+
+    /**
+     * Load the full-size images on either side of the open slide, and cancel the loads of
+     * slides that are no longer the open one or its neighbours
+     */
+    prefetchNeighbourImages() {
+        const state = this.activeGallery;
+        if (!state) return;
+        
+        const slideAt = ({ itemIndex, mediaIndex }) => this.galleries[state.collection][itemIndex].media[mediaIndex];
+        const current = slideAt(state);
+        const neighbours = [-1, 1].map(direction => slideAt(this.getSteppedPosition(direction)));
+        
+        const images = [current, ...neighbours]
+            .filter(slide => slide.type === 'image')
+            .map(slide => this.getFullImageCandidates(slide));
+        this.imageLoader.cancelExcept(images.map(candidates => candidates[0]));
+        
+        neighbours
+            .filter(slide => slide !== current && slide.type === 'image')
+            .forEach(slide => this.imageLoader.prefetch(this.getFullImageCandidates(slide)));
+    }
+
+    /**
+     * Local video with poster frame (MP4/WebM sources in order of preference)
+     */
+    renderModalVideo(slide) {
+        const types = { mp4: 'video/mp4', webm: 'video/webm', ogv: 'video/ogg' };
+        
+        return html`
+            <video class="modal-video" controls playsinline preload="metadata" poster="${this.resolveAsset(slide.poster)}">
+                ${slide.sources.map(src => html`
+                    <source src="${this.resolveAsset(src)}" type="${types[src.split('.').pop().toLowerCase()]}">
+                `)}
+            </video>
+        `;
+    }
+
+    /**
+     * YouTube poster with a play button; the player itself loads on click
+     */
+    renderYouTubePlaceholder(slide) {
+        return html`
+            <button class="modal-youtube" data-youtube="${slide.youtube}" aria-label="${this.t('modal.playVideo')}">
+                <img src="${this.resolveAsset(slide.poster)}" alt="${slide.caption}">
+                <span class="modal-play-icon"><i class="fas fa-play"></i></span>
+            </button>
+        `;
+    }
+
+    /**
+     * Replace the YouTube placeholder with the embedded player
+     */
+    loadYouTubePlayer(videoId) {
+        const modalMedia = document.getElementById('modal-media');
+        if (!modalMedia) return;
+        
+        console.log(`▶️ Loading YouTube player: ${videoId}`);
+        modalMedia.innerHTML = html`
+            <iframe 
+                class="modal-video" 
+                src="https://www.youtube-nocookie.com/embed/${encodeURIComponent(videoId)}?autoplay=1&rel=0" 
+                title="YouTube" 
+                allow="autoplay; encrypted-media; picture-in-picture" 
+                allowfullscreen
+            ></iframe>
+        `;
+    }
+
+    /**
+     * Pause local videos and unload embedded players
+     */
+    stopModalMedia() {
+        const modalMedia = document.getElementById('modal-media');
+        if (!modalMedia) return;
+        
+        modalMedia.querySelectorAll('video').forEach(video => video.pause());
+        modalMedia.innerHTML = '';
+    }
+
+    /**
+     * Render the thumbnail strip for the open item (hidden for single slides)
+     */
+    renderModalThumbs(item, activeIndex) {
+        const thumbs = document.getElementById('modal-thumbs');
+        if (!thumbs) return;
+        
+        thumbs.classList.toggle('is-hidden', item.media.length < 2);
+        thumbs.innerHTML = html`${item.media.map((slide, index) => html`
+            <button 
+                class="modal-thumb${index === activeIndex ? ' active' : ''}${slide.type === 'image' ? '' : ' modal-thumb-video'}" 
+                data-media-index="${index}" 
+                aria-label="${this.t('modal.showImage', { index: index + 1 })}"
+            >
+                ${slide.thumb ? this.renderImage(slide.thumb, { alt: '', sizes: '80px', attributes: html`data-fallback="${this.resolveAsset(slide.full)}"` }) : ''}
+            </button>
+        `)}`;
+    }
+
+    /**
+     * Initialize language picker menu
+     */
+    initializeLanguagePicker() {
+        const languageToggle = document.getElementById('language-toggle');
+        const languageMenu = document.getElementById('language-menu');
+        
+        if (!languageToggle || !languageMenu) return;
+        
+        this.renderLanguageMenu();
+        
+        languageToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleLanguageMenu();
+        });
+        
+        languageMenu.addEventListener('click', (e) => {
+            const option = e.target.closest('.language-option');
+            if (!option) return;
+            
+            this.toggleLanguageMenu(false);
+            this.setLanguage(option.dataset.lang);
+        });
+        
+        // Close menu on outside click
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#language-picker')) {
+                this.toggleLanguageMenu(false);
+            }
+        });
+        
+        // Close menu on Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggleLanguageMenu(false);
+            }
+        });
+    }
+
+    /**
+     * Render language picker options from the language manifest
+     */
+    renderLanguageMenu() {
+        const languageToggle = document.getElementById('language-toggle');
+        const languageCode = document.getElementById('language-code');
+        const languageMenu = document.getElementById('language-menu');
+        
+        if (languageToggle) languageToggle.title = this.t('header.language');
+        if (languageCode) languageCode.textContent = this.currentLanguage.toUpperCase();
+        if (!languageMenu) return;
+        
+        const menuHTML = this.languageManifest.languages.map(language => {
+            const activeClass = language.code === this.currentLanguage ? ' active' : '';
+            return html`
+                <li role="none">
+                    <button class="language-option${activeClass}" role="menuitem" data-lang="${language.code}" lang="${language.code}">
+                        <span class="language-option-code">${language.code.toUpperCase()}</span>
+                        <span class="language-option-name">${language.name}</span>
+                    </button>
+                </li>
+            `;
+        });
+        
+        languageMenu.innerHTML = html`${menuHTML}`;
+    }
+
+    /**
+     * Open or close language picker menu
+     */
+    toggleLanguageMenu(open) {
+        const languagePicker = document.getElementById('language-picker');
+        const languageToggle = document.getElementById('language-toggle');
+        if (!languagePicker) return;
+        
+        const isOpen = languagePicker.classList.toggle('active', open);
+        languageToggle?.setAttribute('aria-expanded', String(isOpen));
+    }
+
+    /**
+     * Switch to a language from the manifest
+     */
+    async setLanguage(newLanguage) {
+        if (!this.supportedLanguages.includes(newLanguage) || newLanguage === this.currentLanguage) return;
+        
+        try {
+            this.showLoading();
+            
+            // Update URL without refreshing page (the section/item part is kept)
+            this.updateRoute({ ...parseRoute(window.location), lang: newLanguage });
+            
+            // Update current language
+            this.currentLanguage = newLanguage;
+            
+            // Reload data and re-render
+            await this.loadData();
+            this.renderLoadedContent();
+            
+            this.hideLoading();
+            
+            console.log(`🌐 Language switched to: ${this.currentLanguage}`);
+        } catch (error) {
+            console.error('❌ Failed to switch language:', error);
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Re-render everything after the data was (re)loaded: sections, filter bar, case study,
+     * mobile nav and modal labels, the language picker and the offline and update banners
+     */
+    renderLoadedContent() {
+        if (!this.applyingRoute) this.pruneFilter();
+        this.renderAllSections();
+        this.renderCaseStudyView();
+        
+        this.updateMobileNavLabels();
+        this.updateModalLabels();
+        this.renderLanguageMenu();
+        this.updateOnlineStatus();
+        this.renderUpdateBanner();
+    }
+
+    /**
+     * Register the service worker (sw.js), follow its content and app updates and show the offline banner
+     */
+    initializeOfflineSupport() {
+        this.updateOnlineStatus();
+        this.renderUpdateBanner();
+        
+        document.getElementById('update-banner-reload')?.addEventListener('click', () => window.location.reload());
+        
+        // Service workers need http(s); file:// pages just run online
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+        
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'content-updated') {
+                console.log(`🔄 Newer content available: ${e.data.url}`);
+                this.scheduleContentRefresh();
+            } else if (e.data?.type === 'app-updated') {
+                console.log(`🆕 Newer version of the site available: ${e.data.url}`);
+                this.updateAvailable = true;
+                this.renderUpdateBanner();
+            }
+        });
+        
+        navigator.serviceWorker.register(this.resolveAsset('sw.js'))
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => {
+                console.log('✅ Service worker ready');
+                registration.active?.postMessage({ type: 'precache', urls: this.getPrecacheImages() });
+            })
+            .catch(error => console.error('❌ Service worker registration failed:', error));
+    }
+
+    /**
+     * Local images the page shows without a click (avatar, card and gallery thumbnails),
+     * for the service worker to precache
+     */
+    getPrecacheImages() {
+        const cardImages = this.collections.flatMap(collection => (
+            (this.data[collection.id] || []).map(item => this.getCardImage(item, collection))
+        ));
+        const slideThumbs = Object.values(this.galleries).flatMap(entries => (
+            entries.flatMap(entry => entry.media.map(slide => slide.thumb))
+        ));
+        
+        return [...new Set([this.data.header?.avatar, ...cardImages, ...slideThumbs])].filter(url => url && !/^[a-z][a-z0-9+.-]*:/i.test(url));
+    }
+
+    /**
+     * Local files the current language's data refers to, for the asset checker (integrity.js)
+     * @returns {Array<{language: string, path: string, source: string}>}
+     */
+    getAssetReferences() {
+        const references = [];
+        const add = (path, source) => {
+            if (path && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(path)) {
+                references.push({ language: this.currentLanguage, path, source });
+            }
+        };
+        
+        add(this.data.meta?.favicon, 'meta.favicon');
+        add(this.data.header?.avatar, 'header.avatar');
+        
+        this.collections.forEach(collection => {
+            (this.data[collection.id] || []).forEach((item, index) => {
+                const source = `${collection.id}/${item.id || index}`;
+                
+                if (collection.fields.includes('image')) add(this.getCardImage(item, collection), source);
+                if (collection.modal) {
+                    this.getGalleryMedia(item, collection).forEach(slide => {
+                        add(slide.full, source);
+                        add(slide.thumb, source);
+                        add(slide.poster, source);
+                        (slide.sources || []).forEach(video => add(video, source));
+                    });
+                }
+                markdownImages(item.caseStudy?.body).forEach(image => add(image, `${source}/case-study`));
+            });
+        });
+        
+        return references;
+    }
+
+    /**
+     * Install the site as an app from the install button (shown by setInstallPrompt)
+     */
+    initializeInstallPrompt() {
+        const installButton = document.getElementById('install-button');
+        if (!installButton) return;
+        
+        installButton.addEventListener('click', async () => {
+            const prompt = this.installPrompt;
+            if (!prompt) return;
+            
+            // A prompt can be shown only once
+            this.setInstallPrompt(null);
+            prompt.prompt();
+            const { outcome } = await prompt.userChoice;
+            console.log(`📲 Install prompt ${outcome}`);
+        });
+        
+        this.setInstallPrompt(this.installPrompt);
+    }
+
+    /**
+     * Keep the browser's install prompt for the install button, or drop it (installed, used)
+     * @param {?Event} prompt - beforeinstallprompt event
+     */
+    setInstallPrompt(prompt) {
+        this.installPrompt = prompt;
+        document.getElementById('install-button')?.classList.toggle('is-hidden', !prompt);
+    }
+
+    /**
+     * Show or hide the offline banner
+     */
+    updateOnlineStatus() {
+        const banner = document.getElementById('offline-banner');
+        const bannerText = document.getElementById('offline-banner-text');
+        if (!banner) return;
+        
+        if (bannerText) bannerText.textContent = this.t('offline.banner');
+        banner.classList.toggle('is-hidden', navigator.onLine);
+    }
+
+    /**
+     * Show the banner offering to reload into the newer version of the site, once there is one
+     */
+    renderUpdateBanner() {
+        const banner = document.getElementById('update-banner');
+        if (!banner) return;
+        
+        const bannerText = document.getElementById('update-banner-text');
+        const reloadButton = document.getElementById('update-banner-reload');
+        if (bannerText) bannerText.textContent = this.t('update.banner');
+        if (reloadButton) reloadButton.textContent = this.t('update.reload');
+        banner.classList.toggle('is-hidden', !this.updateAvailable);
+    }
+
+    /**
+     * Request the data files of the current language again, so the service worker checks them
+     * for newer versions (and reports any it finds)
+     */
+    revalidateContent() {
+        if (!navigator.serviceWorker?.controller) return;
+        
+        const files = [
+            this.sharedDataFile,
+            'data/social.json',
+            ...this.getFallbackChain(this.currentLanguage).flatMap(language => [this.getDataFile(language), `data/i18n/${language}.json`])
+        ];
+        files.forEach(file => fetch(this.resolveAsset(file)).catch(() => {}));
+    }
+
+    /**
+     * Re-render with fresh data once the service worker is done reporting changed files
+     */
+    scheduleContentRefresh() {
+        clearTimeout(this.contentRefreshTimer);
+        this.contentRefreshTimer = setTimeout(() => this.refreshContent(), this.contentRefreshDelay);
+    }
+
+    /**
+     * Drop the loaded data and strings, load them again and re-render
+     */
+    async refreshContent() {
+        await this.ready;
+        
+        try {
+            this.sharedData = null;
+            this.socialData = null;
+            this.dataOverlays = {};
+            this.stringCatalogs = {};
+            
+            await this.loadData();
+            this.renderLoadedContent();
+            
+            console.log('✅ Content refreshed');
+        } catch (error) {
+            console.error('❌ Failed to refresh content:', error);
+        }
+    }
+
+    /**
+     * Apply the current URL and follow back/forward navigation
+     */
+    initializeRouter() {
+        window.addEventListener('popstate', () => {
+            this.setFilter(parseFilter(window.location.search));
+            this.applyRoute(parseRoute(window.location));
+        });
+        
+        this.applyRoute(parseRoute(window.location));
+    }
+
+    /**
+     * Bring the page in line with a route: language, open modal, scrolled-to card or section
+     */
+    async applyRoute(route) {
+        this.applyingRoute = true;
+        
+        try {
+            const language = route.lang && this.supportedLanguages.includes(route.lang) ? route.lang : this.getPageLanguage();
+            if (language !== this.currentLanguage) {
+                await this.setLanguage(language);
+            }
+            
+            const index = route.item ? this.findItemIndex(route.section, route.item) : -1;
+            
+            // The modal opens on top of the page or of a case study
+            if (route.view === 'gallery' && index !== -1 && this.galleries[route.section]) {
+                const media = this.galleries[route.section][index].media;
+                this.openImageModal(route.section, index, Math.min(route.index || 0, Math.max(media.length - 1, 0)));
+                return;
+            }
+            
+            const modalWasOpen = Boolean(this.activeGallery);
+            if (modalWasOpen) this.closeImageModal();
+            
+            if (route.view === 'case-study' && index !== -1 && this.data[route.section][index].caseStudy) {
+                this.openCaseStudy(route.section, index);
+                return;
+            }
+            
+            if (route.view) {
+                console.warn(`⚠️ Unknown ${route.view} route: ${route.section}/${route.item}`);
+            }
+            
+            if (this.activeCaseStudy) {
+                // Back to the portfolio, where the case study was opened
+                this.closeCaseStudy();
+            } else if (modalWasOpen) {
+                // Back from an open modal: stay where the page was
+            } else if (route.item) {
+                this.showSection(route.section);
+                this.scrollToItem(route.section, route.item);
+            } else if (route.section) {
+                this.showSection(route.section);
+                document.getElementById(route.section)?.scrollIntoView({ behavior: 'smooth' });
+            }
+        } finally {
+            this.applyingRoute = false;
+        }
+    }
+
+    /**
+     * Follow an in-page route link: add a history entry and apply it
+     */
+    navigate(route) {
+        const target = { lang: parseRoute(window.location).lang, ...route };
+        this.updateRoute(target);
+        this.applyRoute(target).then(() => {
+            // Remember that Back returns to the page the case study was opened from
+            if (target.view === 'case-study' && this.activeCaseStudy) this.activeCaseStudy.fromPage = true;
+        });
+    }
+
+    /**
+     * Write a route to the URL (no-op while applying a route from the URL)
+     * @param {Object} route - Route parts; `lang` defaults to the current URL's
+     * @param {boolean} [replace] - Replace the current history entry instead of adding one
+     */
+    updateRoute(route, replace = false) {
+        if (this.applyingRoute || !route) return;
+        
+        const url = formatRoute({ lang: parseRoute(window.location).lang, ...route }, window.location);
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        
+        window.history[replace ? 'replaceState' : 'pushState']({}, '', url);
+    }
+
+    /**
+     * Route of the open modal slide (null when closed or the item has no id)
+     */
+    getGalleryRoute() {
+        const state = this.activeGallery;
+        const item = state && this.galleries[state.collection][state.itemIndex];
+        if (!item?.id) return null;
+        
+        return { section: state.collection, item: item.id, view: 'gallery', index: state.mediaIndex };
+    }
+
+    /**
+     * Route of the open case study (null when none is open)
+     */
+    getCaseStudyRoute() {
+        const caseStudy = this.activeCaseStudy;
+        return caseStudy ? { section: caseStudy.section, item: caseStudy.id, view: 'case-study' } : null;
+    }
+
+    /**
+     * Index of an entry in a data section by id (-1 when missing)
+     */
+    findItemIndex(section, id) {
+        const items = this.data?.[section];
+        return Array.isArray(items) ? items.findIndex(item => item.id === id) : -1;
+    }
+
+    /**
+     * Scroll to an entry's card and highlight it briefly
+     */
+    scrollToItem(section, id) {
+        const sectionElement = document.getElementById(section);
+        const card = sectionElement?.querySelector(`[data-item-id="${CSS.escape(id)}"]`);
+        
+        if (!card) {
+            console.warn(`⚠️ Unknown route: ${section}/${id}`);
+            sectionElement?.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+        
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.remove('is-highlighted');
+        // Restart the highlight animation
+        void card.offsetWidth;
+        card.classList.add('is-highlighted');
+        setTimeout(() => card.classList.remove('is-highlighted'), 2000);
+    }
+
+    /**
+     * Open the case-study view for an entry with a `caseStudy` block
+     */
+    openCaseStudy(section, index) {
+        const item = this.data[section][index];
+        const current = this.activeCaseStudy;
+        
+        // Already showing it (e.g. Back from its gallery): keep the reader's place
+        if (current && current.section === section && current.id === item.id) return;
+        
+        if (!current) {
+            this.caseStudyScrollPosition = window.pageYOffset || document.documentElement.scrollTop;
+        }
+        
+        this.activeCaseStudy = { section, id: item.id, fromPage: false };
+        this.renderCaseStudyView();
+        window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
+        
+        console.log(`📖 Opened case study: ${section}/${item.id}`);
+    }
+
+    /**
+     * Render the open case study into #case-study-view (also after a language switch)
+     */
+    renderCaseStudyView() {
+        const view = document.getElementById('case-study-view');
+        const caseStudy = this.activeCaseStudy;
+        if (!view || !caseStudy) return;
+        
+        const index = this.findItemIndex(caseStudy.section, caseStudy.id);
+        const item = index === -1 ? null : this.data[caseStudy.section][index];
+        if (!item?.caseStudy) {
+            // Not available in this language
+            this.closeCaseStudy();
+            return;
+        }
+        
+        const collection = this.collections.find(entry => entry.id === caseStudy.section);
+        view.innerHTML = this.renderCaseStudy(item, index, collection);
+        view.classList.remove('is-hidden');
+        view.closest('main')?.classList.add('case-study-open');
+    }
+
+    /**
+     * Render a case study: summary, metrics, Markdown body, media gallery, tech stack and links
+     */
+    renderCaseStudy(item, index, collection) {
+        const caseStudy = item.caseStudy;
+        const prefix = collection?.classPrefix || 'project';
+        const media = this.galleries[collection?.id]?.[index]?.media || [];
+        const metrics = caseStudy.metrics || [];
+        const techTags = item.techTags || [];
+        const links = item.links || [];
+        const badge = collection ? item[collection.badgeField] : null;
+        
+        return html`
+            <a href="#${collection?.id}/${item.id}" class="case-study-back" data-case-study-back>
+                <i class="fas fa-arrow-left"></i>
+                <span>${this.t('caseStudy.back')}</span>
+            </a>
+            <article class="case-study">
+                <header class="case-study-header">
+                    <span class="case-study-label">${this.t('caseStudy.label')}</span>
+                    <h2 class="case-study-title">${caseStudy.title || item.title}</h2>
+                    <div class="case-study-meta">
+                        ${item.genre ? html`<span class="${prefix}-genre">${item.genre}</span>` : ''}
+                        ${badge ? html`<span>${badge}</span>` : ''}
+                        ${item.period ? html`<span>${item.period}</span>` : ''}
+                    </div>
+                    ${caseStudy.summary ? html`<p class="case-study-summary">${renderInlineMarkdown(caseStudy.summary)}</p>` : ''}
+                </header>
+                ${metrics.length > 0 ? html`
+                    <div class="case-study-metrics">
+                        ${metrics.map(metric => html`
+                            <div class="case-study-metric">
+                                <span class="case-study-metric-value">${metric.value}</span>
+                                <span class="case-study-metric-label">${metric.label}</span>
+                            </div>
+                        `)}
+                    </div>
+                ` : ''}
+                <div class="case-study-body">${renderMarkdown(caseStudy.body, { headingOffset: 2, resolveUrl: path => this.resolveAsset(path) })}</div>
+                ${media.length > 0 ? html`
+                    <section class="case-study-section">
+                        <h3>${this.t('caseStudy.gallery')}</h3>
+                        <div class="case-study-gallery">
+                            ${media.map((slide, mediaIndex) => html`
+                                <button 
+                                    class="case-study-thumb${slide.type === 'image' ? '' : ' modal-thumb-video'}" 
+                                    data-gallery="${collection.id}" 
+                                    data-index="${index}" 
+                                    data-media-index="${mediaIndex}" 
+                                    aria-label="${slide.caption}"
+                                >
+                                    ${slide.thumb ? this.renderImage(slide.thumb, { alt: '', sizes: '160px' }) : ''}
+                                </button>
+                            `)}
+                        </div>
+                    </section>
+                ` : ''}
+                ${techTags.length > 0 ? html`
+                    <section class="case-study-section">
+                        <h3>${this.t('caseStudy.techStack')}</h3>
+                        <div class="${prefix}-tech-tags">
+                            ${techTags.map(tag => html`<span class="tech-tag">[${tag}]</span>`)}
+                        </div>
+                    </section>
+                ` : ''}
+                ${links.length > 0 ? html`<div class="${prefix}-links">${this.renderLinks(links)}</div>` : ''}
+            </article>
+        `;
+    }
+
+    /**
+     * Hide the case-study view and return to where the page was
+     */
+    closeCaseStudy() {
+        const view = document.getElementById('case-study-view');
+        if (!this.activeCaseStudy) return;
+        
+        this.activeCaseStudy = null;
+        if (view) {
+            view.classList.add('is-hidden');
+            view.innerHTML = '';
+            view.closest('main')?.classList.remove('case-study-open');
+        }
+        
+        window.scrollTo({ top: this.caseStudyScrollPosition, left: 0, behavior: 'instant' });
+    }
+
+    /**
+     * "Back to portfolio": step back in history when the case study was opened
+     * from the page, otherwise go to the entry's card
+     */
+    leaveCaseStudy() {
+        const caseStudy = this.activeCaseStudy;
+        if (!caseStudy) return;
+        
+        if (caseStudy.fromPage) {
+            window.history.back();
+        } else {
+            // Opened from a shared link: there is no page position to return to
+            this.updateRoute({ section: caseStudy.section, item: caseStudy.id });
+            this.closeCaseStudy();
+            this.scrollToItem(caseStudy.section, caseStudy.id);
+        }
+    }
+
+    /**
+     * Initialize filter bar events (search input, sort, view switch, chip toggles, clear button, CV printing)
+     */
+    initializeFilterBar() {
+        const search = document.getElementById('filter-search');
+        if (search) {
+            search.addEventListener('input', () => {
+                this.filter.query = search.value;
+                this.applyFilter();
+            });
+        }
+        
+        const sort = document.getElementById('filter-sort');
+        if (sort) {
+            sort.addEventListener('change', () => {
+                this.filter.sort = sort.value;
+                console.log(`🔃 Sort: ${this.filter.sort}`);
+                this.applyFilter();
+            });
+        }
         
-        experienceList.innerHTML = experienceHTML;
+        document.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter]');
+            const view = e.target.closest('[data-view]');
+            if (chip) {
+                this.toggleFilter(chip.dataset.filter, chip.dataset.value);
+                // Skill buttons live outside the bar: bring the filtered cards into view
+                if (chip.hasAttribute('data-filter-reveal') && this.filter[chip.dataset.filter]?.includes(chip.dataset.value)) {
+                    document.getElementById('filters')?.scrollIntoView({ behavior: 'smooth' });
+                }
+            } else if (view) {
+                this.setView(view.dataset.view);
+            } else if (e.target.closest('[data-filter-clear]')) {
+                // Clearing keeps the sort order and view
+                this.setFilter({ ...createFilter(), sort: this.filter.sort, view: this.filter.view });
+            } else if (e.target.closest('[data-cv-print]')) {
+                window.print();
+            }
+        });
     }
 
     /**
-     * Render skills section
+     * Render filter chips from the items of every collection, then apply the filter
      */
-    renderSkillsSection() {
-        const skillsTitle = document.getElementById('skills-title');
-        const skillsGrid = document.getElementById('skills-grid');
+    renderFilterBar() {
+        const filterSection = document.getElementById('filters');
+        const search = document.getElementById('filter-search');
+        const sort = document.getElementById('filter-sort');
+        const platforms = document.getElementById('filter-platforms');
+        const chips = document.getElementById('filter-chips');
+        const clear = document.getElementById('filter-clear');
+        
+        if (filterSection) filterSection.setAttribute('aria-label', this.t('filters.title'));
+        if (clear) clear.textContent = this.t('filters.clear');
+        if (search) {
+            search.placeholder = this.t('filters.search');
+            search.setAttribute('aria-label', this.t('filters.search'));
+            if (search.value !== this.filter.query) search.value = this.filter.query;
+        }
         
-        if (skillsTitle) {
-            skillsTitle.textContent = this.currentLanguage === 'ru' ? 'Навыки' : 'Skills';
+        if (sort) {
+            sort.setAttribute('aria-label', this.t('filters.sort'));
+            sort.innerHTML = html`${FILTER_SORTS.map(value => html`<option value="${value}">${this.t(`filters.sorts.${value}`)}</option>`)}`;
+            sort.value = this.filter.sort;
         }
         
-        if (!skillsGrid || !this.data.skills) return;
+        document.querySelectorAll('.filter-view[data-view]').forEach(button => {
+            const label = button.querySelector('span');
+            if (label) label.textContent = this.t(`filters.views.${button.dataset.view}`);
+        });
         
-        const skillsHTML = this.data.skills.map(skill => {
-            const category = skill.category || this.getSkillCategory(skill.name);
-            return `
-                <div class="skill-item" data-category="${category}">
-                    <div class="skill-name">${skill.name}</div>
-                </div>
+        if (platforms) {
+            platforms.innerHTML = this.renderFilterGroup('platforms', FILTER_PLATFORMS, platform => this.t(`filters.platforms.${platform}`));
+        }
+        
+        if (chips) {
+            const options = collectFilterOptions(this.getFilterItems(), this.getSkillIndex());
+            chips.innerHTML = html`
+                ${this.renderFilterGroup('skills', [], skill => this.getSkillName(skill))}
+                ${this.renderFilterGroup('categories', options.categories, category => this.getSkillCategoryLabel(category))}
+                ${this.renderFilterGroup('tags', options.tags, tag => tag)}
+                ${this.renderFilterGroup('genres', options.genres, genre => genre)}
             `;
-        }).join('');
+        }
         
-        skillsGrid.innerHTML = skillsHTML;
+        this.applyFilter();
     }
-    
+
     /**
-     * Get skill category based on skill name
-     */
-    getSkillCategory(skillName) {
-        const categories = {
-            // Engine/Core
-            'Unity': 'engine',
-            'Unreal Engine': 'engine',
-            'C#': 'engine',
-            'C++': 'engine',
-            'DOTS': 'engine',
-            'ECS': 'engine',
-            'ECS (Entities)': 'engine',
-            'Addressables': 'engine',
-            
-            // Async/Reactive
-            'UniTask': 'async',
-            'R3 (UniRx)': 'async',
-            'Extenject': 'async',
-            'Zenject': 'async',
+     * Render one labelled group of filter chips; selected values missing from the data stay visible
+     * @param {string} field - Filter field: tags, genres, skills, categories or platforms
+     */
+    renderFilterGroup(field, values, getLabel) {
+        const allValues = [...new Set([...values, ...this.filter[field]])];
+        if (allValues.length === 0) return '';
+        
+        return html`
+            <div class="filter-group" role="group" aria-label="${this.t(`filters.groups.${field}`)}">
+                <span class="filter-group-label">${this.t(`filters.groups.${field}`)}</span>
+                ${allValues.map(value => html`
+                    <button type="button" class="filter-chip" data-filter="${field}" data-value="${value}" aria-pressed="false">${getLabel(value)}</button>
+                `)}
+            </div>
+        `;
+    }
+
+    /**
+     * Show only the cards matching the filter in the chosen order and view,
+     * update counts, chips and the URL
+     */
+    applyFilter() {
+        const active = isFilterActive(this.filter);
+        const timeline = this.filter.view === 'timeline';
+        const cv = this.filter.view === 'cv';
+        const skillIndex = this.getSkillIndex();
+        let totalShown = 0;
+        
+        this.collections.forEach(collection => {
+            const grid = document.getElementById(`${collection.id}-grid`);
+            const items = this.data[collection.id];
+            if (!grid || !Array.isArray(items)) return;
             
-            // Architecture
-            'MVC/MVP/MVVM': 'architecture',
-            'CPU/GPU/RAM optimisation': 'architecture',
-            'AI-Enhanced Workflow Cursor + MCP': 'architecture',
+            // Cards carry their item index, so they can be moved into display order
+            const cards = new Map(Array.from(grid.children).map(card => [parseInt(card.dataset.index), card]));
+            let shown = 0;
+            this.getDisplayOrder(collection.id).forEach(index => {
+                const card = cards.get(index);
+                if (!card) return;
+                
+                const visible = !active || matchesFilter(items[index], this.filter, skillIndex);
+                card.classList.toggle('is-hidden', !visible);
+                grid.appendChild(card);
+                if (visible) shown++;
+            });
             
-            // Network
-            'TypeScript': 'network',
-            'Multiplayer': 'network',
-            'Client Networking': 'network',
-            'Netcode optimisation': 'network',
-            'Networking': 'network',
-            'Firebase': 'network',
+            totalShown += shown;
+            this.renderFilterCount(collection, shown, items.length, active);
             
-            // Tools/DevOps
-            'CI/CD': 'tools',
-            'Git': 'tools',
-            'JavaScript': 'tools',
-            'Python': 'tools'
-        };
+            // The timeline replaces the card sections
+            document.getElementById(collection.id)?.classList.toggle('is-hidden', timeline);
+        });
+        
+        document.querySelectorAll('[data-view]').forEach(button => {
+            const selected = button.dataset.view === this.filter.view;
+            button.classList.toggle('active', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+        
+        const timelineSection = document.getElementById('timeline');
+        if (timelineSection) timelineSection.classList.toggle('is-hidden', !timeline);
+        if (timeline) this.renderTimeline();
+        
+        // The CV replaces the whole page
+        const cvView = document.getElementById('cv-view');
+        if (cvView) {
+            cvView.classList.toggle('is-hidden', !cv);
+            cvView.closest('main')?.classList.toggle('cv-open', cv);
+            if (cv) {
+                this.renderCV();
+            } else {
+                cvView.innerHTML = '';
+                if (this.data.meta?.title) document.title = this.data.meta.title;
+            }
+        }
+        
+        document.querySelectorAll('[data-filter]').forEach(chip => {
+            const selected = Boolean(this.filter[chip.dataset.filter]?.includes(chip.dataset.value));
+            chip.classList.toggle('active', selected);
+            chip.setAttribute('aria-pressed', String(selected));
+        });
+        
+        const summary = document.getElementById('filter-summary');
+        if (summary) {
+            summary.classList.toggle('is-hidden', !active);
+            const summaryText = document.getElementById('filter-summary-text');
+            if (summaryText) summaryText.textContent = this.t('filters.summary', { count: totalShown });
+        }
         
-        return categories[skillName] || 'engine';
+        this.updateFilterURL();
     }
 
     /**
-     * Get skill icon
+     * Show "n of m" in a collection's section header while filtering
      */
-    getSkillIcon(skillName) {
-        const icons = {
-            'Unity': '🎮',
-            'Unreal Engine': '🚀',
-            'C#': '💻',
-            'C++': '⚡',
-            'JavaScript': '🌐',
-            'Python': '🐍',
-            'Git': '📦',
-            'Firebase': '🔥',
-            'Networking': '🌐',
-            'AI': '🤖',
-            'Mobile': '📱',
-            'PC': '🖥️',
-            'Console': '🎮'
-        };
-        return icons[skillName] || '⚙️';
+    renderFilterCount(collection, shown, total, active) {
+        const header = document.getElementById(collection.id)?.querySelector('.section-header');
+        if (!header) return;
+        
+        let count = header.querySelector('.section-count');
+        if (!count) {
+            count = document.createElement('span');
+            count.className = 'section-count';
+            header.appendChild(count);
+        }
+        
+        count.textContent = shown === 0 ? this.t('filters.noMatches') : this.t('filters.count', { shown, total });
+        count.classList.toggle('is-hidden', !active);
     }
 
     /**
-     * Render education section
+     * Select or deselect a chip
      */
-    renderEducationSection() {
-        const educationTitle = document.getElementById('education-title');
-        const educationList = document.getElementById('education-list');
-        
-        if (educationTitle) {
-            educationTitle.textContent = this.currentLanguage === 'ru' ? 'Образование' : 'Education';
-        }
+    toggleFilter(field, value) {
+        if (!Array.isArray(this.filter[field])) return;
         
-        if (!educationList || !this.data.education) return;
-        
-        const educationHTML = this.data.education.map(edu => `
-            <div class="education-item">
-                <div class="education-school">
-                    ${edu.url ? `<a href="${edu.url}" target="_blank" rel="noopener noreferrer">${edu.institution}</a>` : edu.institution}
-                </div>
-                <div class="education-degree">${edu.degree}</div>
-                <div class="education-meta">
-                    <span class="education-period">${edu.period}</span>
-                    ${edu.location ? `<span class="education-location">${edu.location}</span>` : ''}
-                </div>
-            </div>
-        `).join('');
+        const values = this.filter[field];
+        this.filter[field] = values.includes(value) ? values.filter(current => current !== value) : [...values, value];
+        console.log(`🔍 Filter ${field}:`, this.filter[field]);
         
-        educationList.innerHTML = educationHTML;
+        // The bar lists only selected skills, so it changes with them
+        if (field === 'skills') {
+            this.renderFilterBar();
+        } else {
+            this.applyFilter();
+        }
     }
 
     /**
-     * Initialize event listeners
+     * Replace the whole filter (URL changes, clear button) and re-render the bar
      */
-    initializeEventListeners() {
-        // Language toggle
-        const languageToggle = document.getElementById('language-toggle');
-        if (languageToggle) {
-            languageToggle.addEventListener('click', () => this.toggleLanguage());
-        }
-        
-        // Project image clicks
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('project-image')) {
-                const index = parseInt(e.target.dataset.index);
-                console.log(`🖼️ Opening image modal for project ${index}:`, this.projectImages[index]);
-                this.openImageModal(index);
-            }
+    setFilter(filter) {
+        this.filter = filter;
+        this.renderFilterBar();
+    }
+
+    /**
+     * Drop selected chips that the loaded data no longer has (genres are translated)
+     */
+    pruneFilter() {
+        const options = collectFilterOptions(this.getFilterItems(), this.getSkillIndex());
+        ['tags', 'genres', 'categories'].forEach(field => {
+            this.filter[field] = this.filter[field].filter(value => options[field].includes(value));
         });
         
-        // Smooth scroll for internal links
-        document.addEventListener('click', (e) => {
-            if (e.target.tagName === 'A' && e.target.getAttribute('href')?.startsWith('#')) {
-                e.preventDefault();
-                const target = document.querySelector(e.target.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({ behavior: 'smooth' });
-                }
-            }
-        });
+        const skillIndex = this.getSkillIndex();
+        this.filter.skills = this.filter.skills.filter(skill => skillIndex.tags.has(skill));
     }
 
     /**
-     * Initialize image modal
+     * Mirror the filter in the URL query, in place (no history entry per keystroke or chip)
      */
-    initializeImageModal() {
-        const modal = document.getElementById('image-modal');
-        const modalOverlay = document.getElementById('modal-overlay');
-        const modalClose = document.getElementById('modal-close');
-        const modalPrev = document.getElementById('modal-prev');
-        const modalNext = document.getElementById('modal-next');
+    updateFilterURL() {
+        if (this.applyingRoute) return;
         
-        if (modalOverlay) {
-            modalOverlay.addEventListener('click', () => this.closeImageModal());
-        }
+        const url = `${window.location.pathname}${formatFilterQuery(this.filter, window.location.search)}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
         
-        if (modalClose) {
-            modalClose.addEventListener('click', () => this.closeImageModal());
-        }
+        window.history.replaceState({}, '', url);
+    }
+
+    /**
+     * Whether a card passes the current filter
+     */
+    isItemShown(section, index) {
+        const item = this.data[section]?.[index];
+        return !isFilterActive(this.filter) || (Boolean(item) && matchesFilter(item, this.filter, this.getSkillIndex()));
+    }
+
+    /**
+     * Item indices of a collection in the chosen sort order
+     */
+    getDisplayOrder(section) {
+        return sortByPeriod(this.data[section] || [], this.filter.sort);
+    }
+
+    /**
+     * Switch between the card grids, the timeline and the CV
+     * @param {'grid'|'timeline'|'cv'} view
+     */
+    setView(view) {
+        if (!FILTER_VIEWS.includes(view) || view === this.filter.view) return;
         
-        if (modalPrev) {
-            modalPrev.addEventListener('click', () => this.previousImage());
-        }
+        const leavingCV = this.filter.view === 'cv';
+        this.filter.view = view;
+        console.log(`🗂️ View: ${view}`);
+        this.applyFilter();
         
-        if (modalNext) {
-            modalNext.addEventListener('click', () => this.nextImage());
+        if (view === 'cv' || leavingCV) window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
+    }
+
+    /**
+     * Leave the CV, or the timeline for a card section it hides, when navigating to a section
+     */
+    showSection(section) {
+        if (this.filter.view === 'cv' ||
+            (this.filter.view === 'timeline' && this.collections.some(collection => collection.id === section))) {
+            this.setView('grid');
         }
-        
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (modal?.classList.contains('active')) {
-                switch (e.key) {
-                    case 'Escape':
-                        this.closeImageModal();
-                        break;
-                    case 'ArrowLeft':
-                        this.previousImage();
-                        break;
-                    case 'ArrowRight':
-                        this.nextImage();
-                        break;
-                }
-            }
-        });
     }
 
     /**
-     * Open image modal
+     * Render experience and every dated card on one vertical time axis (newest on top);
+     * overlapping entries of a group are drawn side by side on parallel tracks
      */
-    openImageModal(index) {
-        const modal = document.getElementById('image-modal');
-        const modalImage = document.getElementById('modal-image');
+    renderTimeline() {
+        const timelineTitle = document.getElementById('timeline-title');
+        const chart = document.getElementById('timeline-chart');
+        
+        if (timelineTitle) timelineTitle.textContent = this.t('timeline.title');
+        if (!chart) return;
+        
+        const active = isFilterActive(this.filter);
+        const skillIndex = this.getSkillIndex();
+        const datedEntries = entries => entries
+            .map(entry => ({ ...entry, period: getItemPeriod(entry.item) }))
+            .filter(entry => {
+                if (!entry.period && entry.item.period) console.warn(`⚠️ Unrecognised period: "${entry.item.period}"`);
+                return Boolean(entry.period);
+            });
         
-        if (!modal || !modalImage) {
-            console.error('❌ Modal elements not found');
+        // Experience is context and ignores the filter; cards follow it
+        const groups = [
+            {
+                id: 'experience',
+                entries: datedEntries((this.data.experience || []).map((item, index) => ({ item, index, title: item.company, subtitle: item.title })))
+            },
+            ...this.collections.map(collection => ({
+                id: collection.id,
+                collection,
+                entries: datedEntries((this.data[collection.id] || [])
+                    .map((item, index) => ({ item, index, title: item.title, subtitle: item[collection.badgeField] }))
+                    .filter(entry => !active || matchesFilter(entry.item, this.filter, skillIndex)))
+            }))
+        ].filter(group => group.entries.length > 0);
+        
+        const allEntries = groups.flatMap(group => group.entries);
+        if (allEntries.length === 0) {
+            chart.innerHTML = html`<p class="timeline-empty">${this.t('timeline.empty')}</p>`;
             return;
         }
         
-        this.currentImageIndex = index;
-        const image = this.projectImages[index];
-        
-        console.log(`📸 Loading full image: ${image.full}`);
-        
-        // Show loading state
-        modalImage.style.opacity = '0';
-        
-        // Load image
-        const img = new Image();
-        img.onload = () => {
-            console.log('✅ Image loaded successfully');
-            modalImage.src = img.src;
-            modalImage.alt = image.title;
-            modalImage.style.opacity = '1';
-        };
-        img.onerror = () => {
-            console.error(`❌ Failed to load image: ${image.full}`);
-        };
-        img.src = image.full;
-        
-        modal.classList.add('active');
+        const firstYear = Math.floor(Math.min(...allEntries.map(entry => entry.period.start)) / 12);
+        const lastYear = Math.floor(Math.max(...allEntries.map(entry => entry.period.end)) / 12);
+        const topMonth = lastYear * 12 + 11;
+        const years = Array.from({ length: lastYear - firstYear + 1 }, (_, i) => lastYear - i);
+        
+        // Short entries are drawn at least this many months tall so their title fits
+        const minSpan = 3;
+        let trackCount = 0;
+        groups.forEach(group => {
+            const { tracks, count } = assignTracks(group.entries.map(entry => entry.period), minSpan);
+            group.entries.forEach((entry, i) => { entry.track = trackCount + tracks[i]; });
+            trackCount += count;
+        });
         
-        // Save current scroll position
-        this.scrollPosition = window.pageYOffset || document.documentElement.scrollTop;
+        chart.innerHTML = html`
+            <div class="timeline-legend">
+                ${groups.map(group => html`
+                    <span class="timeline-legend-item timeline-${group.id}">${this.t(`nav.${group.id}`)}</span>
+                `)}
+            </div>
+            <div class="timeline" style="--months: ${years.length * 12}; --tracks: ${trackCount}">
+                <div class="timeline-axis">
+                    ${years.map(year => html`<span class="timeline-year" style="--offset: ${topMonth - (year * 12 + 11)}">${year}</span>`)}
+                </div>
+                <div class="timeline-body">
+                    ${years.map(year => html`<span class="timeline-gridline" style="--offset: ${topMonth - (year * 12 + 11)}"></span>`)}
+                    ${groups.flatMap(group => group.entries.map(entry => this.renderTimelineEntry(entry, group, topMonth, minSpan)))}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one timeline bar; cards open their case study or gallery
+     */
+    renderTimelineEntry(entry, group, topMonth, minSpan) {
+        const { item, index, period } = entry;
+        const span = Math.max(period.end - period.start + 1, minSpan);
+        const periodLabel = item.period || (period.start === period.end
+            ? formatPeriodMonth(period.start, this.currentLanguage)
+            : `${formatPeriodMonth(period.start, this.currentLanguage)} – ${formatPeriodMonth(period.end, this.currentLanguage)}`);
+        const classes = `timeline-entry timeline-${group.id}${span < 6 ? ' compact' : ''}${period.ongoing ? ' ongoing' : ''}`;
+        const style = `--offset: ${topMonth - period.end}; --span: ${span}; --track: ${entry.track}`;
+        const content = html`
+            <span class="timeline-entry-title">${entry.title}</span>
+            <span class="timeline-entry-meta">${[entry.subtitle, periodLabel].filter(Boolean).join(' · ')}</span>
+        `;
+        const tooltip = [entry.title, entry.subtitle, periodLabel].filter(Boolean).join(' · ');
         
-        // Prevent page scrolling on mobile and maintain scroll position
-        document.body.style.overflow = 'hidden';
-        document.body.style.position = 'fixed';
-        document.body.style.top = `-${this.scrollPosition}px`;
-        document.body.style.width = '100%';
+        if (group.collection && item.caseStudy && item.id) {
+            return html`<a href="#${group.id}/${item.id}/case-study" class="${classes}" style="${style}" title="${tooltip}" data-route>${content}</a>`;
+        }
+        if (group.collection && group.collection.modal && this.galleries[group.id]?.[index]?.media.length > 0) {
+            return html`<button type="button" class="${classes}" style="${style}" title="${tooltip}" data-gallery="${group.id}" data-index="${index}">${content}</button>`;
+        }
+        return html`<div class="${classes}" style="${style}" title="${tooltip}">${content}</div>`;
     }
 
     /**
-     * Close image modal
+     * Render the printable CV into #cv-view: intro, summary, experience, skills,
+     * selected projects and education, from the same data as the page
      */
-    closeImageModal() {
-        const modal = document.getElementById('image-modal');
-        if (modal) {
-            modal.classList.remove('active');
-            
-            // Save scroll position before removing fixed positioning
-            const scrollY = this.scrollPosition;
-            
-            // Restore body styles
-            document.body.style.overflow = '';
-            document.body.style.position = '';
-            document.body.style.top = '';
-            document.body.style.width = '';
-            
-            // Restore scroll position instantly without animation
-            window.scrollTo({
-                top: scrollY,
-                left: 0,
-                behavior: 'instant'
-            });
+    renderCV() {
+        const view = document.getElementById('cv-view');
+        if (!view || !this.data) return;
+        
+        const intro = this.data.intro || {};
+        const months = this.getExperienceMonths();
+        const experience = this.data.experience || [];
+        const education = this.data.education || [];
+        const projects = this.getCVProjects();
+        const contacts = (this.socialData?.social || [])
+            .filter(social => !social.hidden)
+            .map(social => ({ name: social.name, url: social.urls?.[this.currentLanguage] || social.url }))
+            // Links back into the site (like the CV itself) are left out
+            .filter(contact => /^(https?:|mailto:)/i.test(contact.url));
+        
+        if (intro.name) document.title = `${intro.name} - ${this.t('cv.title')}`;
+        
+        view.innerHTML = html`
+            <div class="cv-toolbar">
+                <button type="button" class="cv-action" data-view="grid">
+                    <i class="fas fa-arrow-left"></i>
+                    <span>${this.t('cv.back')}</span>
+                </button>
+                <button type="button" class="cv-action cv-print" data-cv-print>
+                    <i class="fas fa-print"></i>
+                    <span>${this.t('cv.print')}</span>
+                </button>
+            </div>
+            <article class="cv">
+                <header class="cv-header">
+                    <h1 class="cv-name">${intro.name}</h1>
+                    <p class="cv-title">${[this.fillContentTokens(intro.title), months >= 12 ? this.t('hero.experience', { count: Math.floor(months / 12) }) : ''].filter(Boolean).join(' · ')}</p>
+                    <ul class="cv-contacts">
+                        ${intro.location ? html`<li>${intro.location}</li>` : ''}
+                        ${contacts.map(contact => html`<li><a href="${contact.url}">${this.formatContactUrl(contact.url) || contact.name}</a></li>`)}
+                    </ul>
+                </header>
+                ${this.data.about?.content ? html`
+                    <section class="cv-section">
+                        <h2 class="cv-section-title">${this.t('cv.summary')}</h2>
+                        <div class="rich-text">${renderMarkdown(this.fillContentTokens(this.data.about.content))}</div>
+                    </section>
+                ` : ''}
+                ${experience.length > 0 ? html`
+                    <section class="cv-section">
+                        <h2 class="cv-section-title">${this.t('sections.experience')}</h2>
+                        ${experience.map(exp => html`
+                            <div class="cv-entry">
+                                <div class="cv-entry-header">
+                                    <h3 class="cv-entry-title">${[exp.title, exp.company].filter(Boolean).join(' — ')}</h3>
+                                    <span class="cv-entry-period">${exp.period}${this.renderDuration(exp)}</span>
+                                </div>
+                                ${exp.location ? html`<div class="cv-entry-meta">${exp.location}</div>` : ''}
+                                ${exp.achievements && exp.achievements.length > 0 ? html`
+                                    <ul class="cv-entry-list">
+                                        ${exp.achievements.map(achievement => html`<li>${renderInlineMarkdown(achievement)}</li>`)}
+                                    </ul>
+                                ` : html`<div class="rich-text">${renderMarkdown(exp.description)}</div>`}
+                            </div>
+                        `)}
+                    </section>
+                ` : ''}
+                ${this.data.skills && this.data.skills.length > 0 ? html`
+                    <section class="cv-section">
+                        <h2 class="cv-section-title">${this.t('sections.skills')}</h2>
+                        <dl class="cv-skills">
+                            ${this.getSkillGroups().map(({ category, skills }) => html`
+                                <dt>${category.label || category.id}</dt>
+                                <dd>${skills.map(skill => skill.name).join(', ')}</dd>
+                            `)}
+                        </dl>
+                    </section>
+                ` : ''}
+                ${projects.length > 0 ? html`
+                    <section class="cv-section">
+                        <h2 class="cv-section-title">${this.t('cv.projects')}</h2>
+                        ${projects.map(({ item, collection }) => html`
+                            <div class="cv-entry">
+                                <div class="cv-entry-header">
+                                    <h3 class="cv-entry-title">${[item.title, item[collection.badgeField]].filter(Boolean).join(' — ')}</h3>
+                                    ${item.period ? html`<span class="cv-entry-period">${item.period}</span>` : ''}
+                                </div>
+                                ${item.genre || (item.techTags && item.techTags.length > 0) ? html`
+                                    <div class="cv-entry-meta">${[item.genre, ...(item.techTags || [])].filter(Boolean).join(' · ')}</div>
+                                ` : ''}
+                                <div class="rich-text">${renderMarkdown(item.description)}</div>
+                            </div>
+                        `)}
+                    </section>
+                ` : ''}
+                ${education.length > 0 ? html`
+                    <section class="cv-section">
+                        <h2 class="cv-section-title">${this.t('sections.education')}</h2>
+                        ${education.map(edu => html`
+                            <div class="cv-entry">
+                                <div class="cv-entry-header">
+                                    <h3 class="cv-entry-title">${[edu.degree, edu.institution].filter(Boolean).join(' — ')}</h3>
+                                    ${edu.period ? html`<span class="cv-entry-period">${edu.period}</span>` : ''}
+                                </div>
+                                ${edu.location ? html`<div class="cv-entry-meta">${edu.location}</div>` : ''}
+                            </div>
+                        `)}
+                    </section>
+                ` : ''}
+            </article>
+        `;
+    }
+
+    /**
+     * Cards listed in the CV: every `featured` card, newest first; without any,
+     * the first entries of the first collection
+     * @returns {Array<{item: Object, collection: Object}>}
+     */
+    getCVProjects() {
+        const cards = this.collections.flatMap(collection => (this.data[collection.id] || []).map(item => ({ item, collection })));
+        const featured = cards.filter(card => card.item.featured);
+        if (featured.length > 0) {
+            return sortByPeriod(featured.map(card => card.item), 'newest').map(index => featured[index]);
         }
+        
+        return cards.filter(card => card.collection === this.collections[0]).slice(0, this.cvProjectLimit);
     }
 
     /**
-     * Navigate to previous image
+     * Short printable form of a contact URL ("noagard@gmail.com", "github.com/RomanMalyshev")
      */
-    previousImage() {
-        this.currentImageIndex = (this.currentImageIndex - 1 + this.projectImages.length) % this.projectImages.length;
-        this.updateModalImage();
+    formatContactUrl(url) {
+        return String(url || '')
+            .replace(/^mailto:/i, '')
+            .replace(/^https?:\/\/(www\.)?/i, '')
+            .replace(/\/$/, '');
     }
 
     /**
-     * Navigate to next image
+     * Items of every card collection (the filter applies to all of them)
      */
-    nextImage() {
-        this.currentImageIndex = (this.currentImageIndex + 1) % this.projectImages.length;
-        this.updateModalImage();
+    getFilterItems() {
+        return this.collections.flatMap(collection => (Array.isArray(this.data[collection.id]) ? this.data[collection.id] : []));
     }
 
     /**
-     * Update modal image
+     * Tech tags of each skill and skill category of each tag, so tech tags can match skill and category chips
      */
-    updateModalImage() {
-        const modalImage = document.getElementById('modal-image');
-        if (modalImage) {
-            const image = this.projectImages[this.currentImageIndex];
-            
-            // Smooth loading transition
-            modalImage.style.opacity = '0.5';
-            
-            const img = new Image();
-            img.onload = () => {
-                modalImage.src = img.src;
-                modalImage.alt = image.title;
-                modalImage.style.opacity = '1';
-            };
-            img.src = image.full;
-        }
+    getSkillIndex() {
+        return buildSkillIndex(this.data.skills);
     }
 
     /**
-     * Toggle language
+     * Display name of a skill (its id when the skill is gone)
      */
-    async toggleLanguage() {
-        const newLanguage = this.currentLanguage === 'en' ? 'ru' : 'en';
-        
-        try {
-            this.showLoading();
-            
-            // Update URL without refreshing page
-            const url = new URL(window.location);
-            url.searchParams.set('lang', newLanguage);
-            window.history.pushState({}, '', url);
-            
-            // Update current language
-            this.currentLanguage = newLanguage;
-            
-            // Reload data and re-render
-            await this.loadData();
-            this.renderAllSections();
-            
-            // Update mobile nav labels
-            this.updateMobileNavLabels();
-            
-            this.hideLoading();
-            
-            console.log(`🌐 Language switched to: ${newLanguage}`);
-        } catch (error) {
-            console.error('❌ Failed to switch language:', error);
-            this.hideLoading();
-        }
+    getSkillName(skillId) {
+        return (this.data.skills || []).find(skill => skill.id === skillId)?.name || skillId;
+    }
+
+    /**
+     * Display name of a skill category (its id when the data has no label)
+     */
+    getSkillCategoryLabel(category) {
+        return (this.data.skillCategories || []).find(known => known.id === category)?.label || category;
     }
 
     /**
@@ -910,6 +3020,9 @@ class ModernPortfolioManager {
                 const targetSection = document.getElementById(targetId);
                 
                 this.closeMobileNav();
+                if (this.activeCaseStudy) this.closeCaseStudy();
+                this.showSection(targetId);
+                this.updateRoute({ section: targetId });
                 
                 // Wait for menu animation to complete, then scroll
                 // Using requestAnimationFrame to ensure layout is stable
@@ -948,56 +3061,21 @@ class ModernPortfolioManager {
      * Update mobile navigation labels based on language
      */
     updateMobileNavLabels() {
-        const labels = {
-            en: {
-                navTitle: 'Navigation',
-                about: 'About',
-                projects: 'Projects',
-                jams: 'Jams',
-                prototypes: 'Prototypes',
-                experience: 'Experience',
-                skills: 'Skills',
-                education: 'Education',
-                contact: 'Contact'
-            },
-            ru: {
-                navTitle: 'Навигация',
-                about: 'Обо мне',
-                projects: 'Проекты',
-                jams: 'Джемы',
-                prototypes: 'Прототипы',
-                experience: 'Опыт',
-                skills: 'Навыки',
-                education: 'Образование',
-                contact: 'Контакты'
-            }
-        };
-        
-        const lang = this.currentLanguage;
-        const currentLabels = labels[lang] || labels.en;
-        
         // Update navigation title
         const navTitle = document.getElementById('mobile-nav-title');
-        if (navTitle) navTitle.textContent = currentLabels.navTitle;
-        
-        // Update navigation links
-        const navAbout = document.getElementById('nav-about');
-        const navProjects = document.getElementById('nav-projects');
-        const navJams = document.getElementById('nav-jams');
-        const navPrototypes = document.getElementById('nav-prototypes');
-        const navExperience = document.getElementById('nav-experience');
-        const navSkills = document.getElementById('nav-skills');
-        const navEducation = document.getElementById('nav-education');
-        const navContact = document.getElementById('nav-contact');
-        
-        if (navAbout) navAbout.textContent = currentLabels.about;
-        if (navProjects) navProjects.textContent = currentLabels.projects;
-        if (navJams) navJams.textContent = currentLabels.jams;
-        if (navPrototypes) navPrototypes.textContent = currentLabels.prototypes;
-        if (navExperience) navExperience.textContent = currentLabels.experience;
-        if (navSkills) navSkills.textContent = currentLabels.skills;
-        if (navEducation) navEducation.textContent = currentLabels.education;
-        if (navContact) navContact.textContent = currentLabels.contact;
+        if (navTitle) navTitle.textContent = this.t('nav.title');
+        
+        // Update menu and install button tooltips
+        const menuToggle = document.getElementById('menu-toggle');
+        if (menuToggle) menuToggle.title = this.t('header.menu');
+        const installButton = document.getElementById('install-button');
+        if (installButton) installButton.title = this.t('header.install');
+        
+        // Update navigation links (including entries generated for collections)
+        document.querySelectorAll('.mobile-nav-link[data-section]').forEach(link => {
+            const label = document.getElementById(`nav-${link.dataset.section}`);
+            if (label) label.textContent = this.t(`nav.${link.dataset.section}`);
+        });
     }
 }
 
@@ -1020,12 +3098,26 @@ document.addEventListener('visibilitychange', () => {
 // Handle online/offline status
 window.addEventListener('online', () => {
     console.log('🌐 Back online');
-    // Could refresh data or show notification
+    window.portfolioManager?.updateOnlineStatus();
+    window.portfolioManager?.revalidateContent();
 });
 
 window.addEventListener('offline', () => {
     console.log('📴 Gone offline');
-    // Could show offline notification
+    window.portfolioManager?.updateOnlineStatus();
+});
+
+// Offer installation only when the browser supports it (the event never fires elsewhere)
+window.addEventListener('beforeinstallprompt', (e) => {
+    // Before the page script runs, leave it to the browser's own install UI
+    if (!window.portfolioManager) return;
+    e.preventDefault();
+    window.portfolioManager?.setInstallPrompt(e);
+});
+
+window.addEventListener('appinstalled', () => {
+    console.log('📲 Installed as an app');
+    window.portfolioManager?.setInstallPrompt(null);
 });
 
 // Add touch gesture support for mobile
@@ -1041,6 +3133,9 @@ document.addEventListener('touchend', (e) => {
     const modal = document.getElementById('image-modal');
     if (!modal?.classList.contains('active')) return;
     
+    // Let video controls handle their own scrubbing gestures
+    if (e.target.closest?.('video')) return;
+    
     const touchEndX = e.changedTouches[0].clientX;
     const touchEndY = e.changedTouches[0].clientY;
     
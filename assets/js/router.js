@@ -0,0 +1,58 @@
+/**
+ * Router
+ * Parses and builds shareable URLs of the form
+ * ?lang=<code>#<section>[/<item id>[/<view>[/<position>]]]
+ * e.g. ?lang=ru#projects/erz or #projects/erz/gallery/2
+ */
+
+/**
+ * Parse a location (window.location or a URL) into a route
+ * @returns {{lang: string|null, section: string|null, item: string|null, view: string|null, index: number|null}}
+ */
+function parseRoute(location) {
+    const lang = new URLSearchParams(location.search).get('lang');
+    const segments = location.hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+    const [section = null, item = null, view = null, position = null] = segments;
+    const number = parseInt(position, 10);
+
+    return {
+        lang,
+        section,
+        item,
+        view,
+        // Positions are 1-based in URLs, like the "n / m" gallery counter
+        index: number > 0 ? number - 1 : null
+    };
+}
+
+/**
+ * Build a URL for a route, keeping the other query parameters of the current location
+ * @param {Object} route - Same shape as parseRoute() returns; missing parts are left out
+ * @param {Location|URL} location - Current location
+ * @returns {string} Path, query and hash
+ */
+function formatRoute(route, location) {
+    const params = new URLSearchParams(location.search);
+    if (route.lang) {
+        params.set('lang', route.lang);
+    } else {
+        params.delete('lang');
+    }
+
+    const parts = [route.section, route.item, route.view, route.index == null ? null : String(route.index + 1)];
+    const missing = parts.findIndex(part => !part);
+    const path = (missing === -1 ? parts : parts.slice(0, missing)).map(encodeURIComponent).join('/');
+    const query = params.toString();
+
+    return `${location.pathname}${query ? `?${query}` : ''}${path ? `#${path}` : ''}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseRoute, formatRoute };
+}
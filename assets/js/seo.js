@@ -0,0 +1,113 @@
+/**
+ * SEO Metadata
+ * Head tags (Open Graph, Twitter card, canonical and hreflang links) and JSON-LD structured
+ * data (Person, VideoGame / CreativeWork) for a page. portfolio.js renders them into <head>,
+ * and scripts/prerender.js gets the same output by running portfolio.js. Depends on html.js.
+ */
+
+/**
+ * URL of a language's page: the site root for the default language, <code>/ for the others
+ * (the pages written by scripts/prerender.js)
+ */
+function getLanguagePageUrl(siteUrl, code, defaultCode) {
+    return code === defaultCode ? siteUrl : new URL(`${code}/`, siteUrl).href;
+}
+
+/**
+ * Copy of an object without empty values (undefined, null, '', [])
+ */
+function compactObject(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => (
+        value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    )));
+}
+
+/**
+ * Head tags of a page
+ * @param {Object} page
+ * @param {string} page.url - Canonical URL
+ * @param {string} page.title
+ * @param {string} [page.description]
+ * @param {string} [page.image] - Absolute image URL for link previews
+ * @param {string} [page.imageAlt]
+ * @param {boolean} [page.largeImage] - The image is a wide screenshot rather than a portrait
+ * @param {string} [page.locale] - Open Graph locale (en_US)
+ * @param {Array<{code: string, url: string, locale: string}>} [page.alternates] - Page of every language, this one included
+ * @param {string} [page.defaultUrl] - Page for any other language (x-default)
+ * @returns {Array<{tag: string, attributes: Object<string, string>}>}
+ */
+function buildSeoTags(page) {
+    const alternates = page.alternates || [];
+    const link = attributes => ({ tag: 'link', attributes });
+    const meta = (key, name, content) => (content ? [{ tag: 'meta', attributes: { [key]: name, content } }] : []);
+
+    return [
+        link({ rel: 'canonical', href: page.url }),
+        ...alternates.map(alternate => link({ rel: 'alternate', hreflang: alternate.code, href: alternate.url })),
+        ...(page.defaultUrl ? [link({ rel: 'alternate', hreflang: 'x-default', href: page.defaultUrl })] : []),
+        ...meta('property', 'og:type', 'website'),
+        ...meta('property', 'og:url', page.url),
+        ...meta('property', 'og:title', page.title),
+        ...meta('property', 'og:description', page.description),
+        ...meta('property', 'og:image', page.image),
+        ...meta('property', 'og:image:alt', page.image && page.imageAlt),
+        ...meta('property', 'og:locale', page.locale),
+        ...alternates
+            .filter(alternate => alternate.url !== page.url)
+            .flatMap(alternate => meta('property', 'og:locale:alternate', alternate.locale)),
+        ...meta('name', 'twitter:card', page.image && page.largeImage ? 'summary_large_image' : 'summary'),
+        ...meta('name', 'twitter:title', page.title),
+        ...meta('name', 'twitter:description', page.description),
+        ...meta('name', 'twitter:image', page.image),
+        ...meta('name', 'twitter:image:alt', page.image && page.imageAlt)
+    ];
+}
+
+/**
+ * JSON-LD graph of the person and their works; every work gets the person as author
+ * @param {Object} person - schema.org Person properties, `url` included
+ * @param {Array<Object>} works - schema.org VideoGame / CreativeWork entries (with `@type`)
+ */
+function buildStructuredData(person, works) {
+    const personId = `${person.url}#person`;
+
+    return {
+        '@context': 'https://schema.org',
+        '@graph': [
+            compactObject({ '@type': 'Person', '@id': personId, ...person }),
+            ...works.map(work => compactObject({ ...work, author: { '@id': personId } }))
+        ]
+    };
+}
+
+/**
+ * Markup of the head tags and structured data, one element per line, each marked `data-seo`
+ * so it can be replaced when the language changes
+ * @param {Array<{tag: string, attributes: Object<string, string>}>} tags - From buildSeoTags
+ * @param {Object} [structuredData] - From buildStructuredData
+ * @returns {string}
+ */
+function renderSeoMarkup(tags, structuredData) {
+    const lines = tags.map(({ tag, attributes }) => {
+        const attributeList = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeHTML(value)}"`);
+        return `<${tag}${attributeList.join('')} data-seo>`;
+    });
+
+    if (structuredData) {
+        // "<" can't end the script early once it is escaped
+        const json = JSON.stringify(structuredData).replace(/</g, '\\u003c');
+        lines.push(`<script type="application/ld+json" data-seo>${json}</script>`);
+    }
+
+    return lines.join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getLanguagePageUrl,
+        compactObject,
+        buildSeoTags,
+        buildStructuredData,
+        renderSeoMarkup
+    };
+}
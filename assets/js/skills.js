@@ -0,0 +1,73 @@
+/**
+ * Skills
+ * Tech tag aliases ("ECS (Entities)" and "DOTS" count as "DOTS / ECS") and skill usage
+ * statistics across the card collections, for the skills chart.
+ */
+
+/**
+ * Alias lookup from the data's tag alias table
+ * @param {Object<string, string[]>} [aliases] - Canonical tag → other spellings
+ * @returns {Map<string, string>} Lower-cased spelling (canonical ones included) → canonical tag
+ */
+function buildTagAliases(aliases) {
+    const lookup = new Map();
+
+    Object.entries(aliases || {}).forEach(([canonical, spellings]) => {
+        [canonical, ...(Array.isArray(spellings) ? spellings : [])].forEach(spelling => {
+            const key = String(spelling).toLowerCase();
+            if (lookup.has(key) && lookup.get(key) !== canonical) {
+                console.warn(`⚠️ Tag alias "${spelling}" is listed under both "${lookup.get(key)}" and "${canonical}"`);
+                return;
+            }
+            lookup.set(key, canonical);
+        });
+    });
+
+    return lookup;
+}
+
+/**
+ * Replace tag spellings with their canonical tag, dropping the duplicates this creates
+ * @param {string[]} tags
+ * @param {Map<string, string>} aliasLookup - From buildTagAliases
+ */
+function normalizeTags(tags, aliasLookup) {
+    return [...new Set(tags.map(tag => aliasLookup.get(String(tag).toLowerCase()) || tag))];
+}
+
+/**
+ * How many cards of each section use each skill, and the months they cover
+ * @param {Array<Object>} skills
+ * @param {Array<{section: string, item: Object, period: ?{start: number, end: number}}>} entries - Cards of every collection
+ * @param {function(Object, string): boolean} usesSkill - Whether an item uses the skill with the given id
+ * @returns {Array<{skill: Object, counts: Object<string, number>, total: number, start: ?number, end: ?number}>}
+ *   Skills used at least once, most used first (ties keep the data order)
+ */
+function computeSkillStats(skills, entries, usesSkill) {
+    return (skills || [])
+        .filter(skill => skill.id)
+        .map(skill => {
+            const used = entries.filter(entry => usesSkill(entry.item, skill.id));
+            const counts = {};
+            used.forEach(entry => { counts[entry.section] = (counts[entry.section] || 0) + 1; });
+
+            const periods = used.map(entry => entry.period).filter(Boolean);
+            return {
+                skill,
+                counts,
+                total: used.length,
+                start: periods.length > 0 ? Math.min(...periods.map(period => period.start)) : null,
+                end: periods.length > 0 ? Math.max(...periods.map(period => period.end)) : null
+            };
+        })
+        .filter(stat => stat.total > 0)
+        .sort((a, b) => b.total - a.total);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildTagAliases,
+        normalizeTags,
+        computeSkillStats
+    };
+}
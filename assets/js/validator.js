@@ -0,0 +1,152 @@
+/**
+ * Data Validator
+ * Minimal JSON Schema (draft-07 subset) validator for the files in data/.
+ * Supports: type, required, properties, additionalProperties, items, enum,
+ * pattern, minLength, minItems and local $ref ("#/definitions/...")
+ */
+
+class DataValidator {
+    /**
+     * @param {Object} schema - JSON Schema object
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Format a path array (['projects', 2, 'links']) as 'projects[2].links'
+     */
+    static formatPath(path) {
+        return path.reduce((result, part) => (
+            typeof part === 'number' ? `${result}[${part}]` : (result ? `${result}.${part}` : part)
+        ), '') || '(root)';
+    }
+
+    /**
+     * Validate data against the schema
+     * @returns {Array<{path: Array<string|number>, message: string}>} Errors (empty when valid)
+     */
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.schema, [], errors);
+        return errors;
+    }
+
+    /**
+     * Validate data and drop the array entries that contain errors
+     * @returns {{data: Object, errors: Array, skipped: Array<string>}} Cleaned copy, all errors and skipped entry paths
+     */
+    sanitize(data) {
+        const errors = this.validate(data);
+        const cleaned = JSON.parse(JSON.stringify(data));
+        const targets = new Map();
+
+        // Skip the innermost array entry that holds each error
+        errors.forEach(error => {
+            const index = error.path.map(part => typeof part === 'number').lastIndexOf(true);
+            if (index === -1) return;
+            const entryPath = error.path.slice(0, index + 1);
+            targets.set(DataValidator.formatPath(entryPath), entryPath);
+        });
+
+        // Remove deepest entries and highest indexes first so remaining paths stay valid
+        const ordered = [...targets.values()].sort((a, b) => (
+            b.length - a.length || b[b.length - 1] - a[a.length - 1]
+        ));
+
+        ordered.forEach(entryPath => {
+            const parent = entryPath.slice(0, -1).reduce((node, part) => (node == null ? undefined : node[part]), cleaned);
+            if (Array.isArray(parent)) {
+                parent.splice(entryPath[entryPath.length - 1], 1);
+            }
+        });
+
+        return { data: cleaned, errors, skipped: [...targets.keys()] };
+    }
+
+    /**
+     * Resolve a local $ref
+     */
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref: ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((node, part) => node[part], this.schema);
+    }
+
+    /**
+     * Get JSON Schema type name for a value
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Recursively validate one value
+     */
+    validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+            return;
+        }
+
+        const addError = message => errors.push({ path, message });
+        const actualType = DataValidator.typeOf(value);
+
+        if (schema.type) {
+            const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+            if (!matches) {
+                addError(`must be ${allowed.join(' or ')}, got ${actualType}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            addError(`must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+        }
+
+        if (actualType === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                addError(value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                addError(`has invalid format: "${value}"`);
+            }
+        }
+
+        if (actualType === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                addError(`must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateNode(item, schema.items, [...path, index], errors));
+            }
+        }
+
+        if (actualType === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    addError(`is missing required field "${key}"`);
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                if (schema.properties && schema.properties[key]) {
+                    this.validateNode(value[key], schema.properties[key], [...path, key], errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: [...path, key], message: 'is not allowed' });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.validateNode(value[key], schema.additionalProperties, [...path, key], errors);
+                }
+            });
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataValidator;
+}
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Build responsive variants of the images the page shows (avatar, card thumbnails, gallery
+ * thumbnails and full-size images): several widths in AVIF, WebP and the original format, plus a
+ * tiny blurred placeholder. They are written to images/responsive/ with a manifest that
+ * images.js reads to render <picture> elements.
+ *
+ * Usage: node scripts/build-images.js [--force]
+ * Needs ImageMagick 7 (`magick`) with AVIF and WebP support. Images whose variants are newer
+ * than the original are skipped unless --force is given. Run node scripts/prerender.js
+ * afterwards, so the pre-rendered pages use the new variants.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadManager } = require('./prerender');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'images', 'responsive');
+const MANIFEST = path.join(OUTPUT_DIR, 'manifest.json');
+
+// Variant widths; an image only gets the ones narrower than itself (and its own width)
+const WIDTHS = [320, 640, 960, 1600, 2560];
+
+// Encoder quality by format; PNG stays lossless
+const QUALITY = { avif: 50, webp: 75, jpg: 80, jpeg: 80 };
+
+// Formats with variants; animated GIFs and WebPs are left as they are
+const SOURCE_FORMATS = ['png', 'jpg', 'jpeg'];
+
+const PLACEHOLDER_WIDTH = 16;
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Run ImageMagick and return its output
+ */
+function magick(args, options = {}) {
+    try {
+        return execFileSync('magick', args, { maxBuffer: 16 * 1024 * 1024, ...options });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('ImageMagick 7 is required (the `magick` command was not found)');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Local images the page shows, in every language
+ */
+async function collectImages() {
+    const manifest = readJson(path.join(ROOT, 'data', 'languages.json'));
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const images = new Set();
+
+    for (const { code } of manifest.languages) {
+        const { manager } = await loadManager(template, code);
+        const fullImages = Object.values(manager.galleries).flatMap(entries => (
+            entries.flatMap(entry => entry.media.filter(slide => slide.type === 'image').map(slide => slide.full))
+        ));
+        [...manager.getPrecacheImages(), ...fullImages].forEach(image => images.add(image));
+    }
+
+    return [...images].filter(image => SOURCE_FORMATS.includes(path.extname(image).slice(1).toLowerCase()));
+}
+
+/**
+ * Manifest entry of an earlier run, if its variants are still newer than the original
+ */
+function getReusableEntry(entry, source) {
+    if (!entry) return null;
+
+    const sourceTime = fs.statSync(source).mtimeMs;
+    const files = Object.values(entry.sources).flat().map(variant => path.join(ROOT, variant.src));
+    return files.every(file => fs.existsSync(file) && fs.statSync(file).mtimeMs >= sourceTime) ? entry : null;
+}
+
+/**
+ * Write the variants of one image
+ * @returns {Object} Its manifest entry
+ */
+function buildImage(image) {
+    const source = path.join(ROOT, image);
+    const [width, height] = magick(['identify', '-format', '%w %h', `${source}[0]`]).toString().split(' ').map(Number);
+    const extension = path.extname(image).slice(1).toLowerCase();
+    const name = path.basename(image, path.extname(image));
+    const directory = path.join(OUTPUT_DIR, path.relative(path.join(ROOT, 'images'), path.dirname(source)));
+    fs.mkdirSync(directory, { recursive: true });
+
+    const widths = [...new Set([...WIDTHS.filter(candidate => candidate < width), width])];
+    const sources = {};
+
+    ['avif', 'webp', extension].forEach(format => {
+        sources[format] = widths.map(variantWidth => {
+            const file = path.join(directory, `${name}-${variantWidth}.${format}`);
+            const quality = QUALITY[format] ? ['-quality', String(QUALITY[format])] : [];
+            magick([`${source}[0]`, '-strip', '-resize', `${variantWidth}x`, ...quality, file]);
+            return { src: path.relative(ROOT, file).split(path.sep).join('/'), width: variantWidth };
+        });
+    });
+
+    const placeholder = magick([`${source}[0]`, '-strip', '-resize', `${PLACEHOLDER_WIDTH}x`, '-quality', '40', 'webp:-']);
+
+    return {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        sources
+    };
+}
+
+async function main() {
+    const force = process.argv.includes('--force');
+    const previous = fs.existsSync(MANIFEST) ? readJson(MANIFEST) : {};
+    const images = await collectImages();
+    const manifest = {};
+    let built = 0;
+
+    images.sort().forEach(image => {
+        const source = path.join(ROOT, image);
+        if (!fs.existsSync(source)) {
+            console.warn(`⚠️ ${image}: file not found, skipped`);
+            return;
+        }
+
+        const reusable = force ? null : getReusableEntry(previous[image], source);
+        if (reusable) {
+            manifest[image] = reusable;
+            console.log(`✅ ${image}: up to date`);
+            return;
+        }
+
+        manifest[image] = buildImage(image);
+        built++;
+        console.log(`📝 ${image}: ${manifest[image].sources.webp.map(variant => variant.width).join(', ')}`);
+    });
+
+    // Variants of images the page no longer shows
+    const current = new Set(Object.values(manifest).flatMap(entry => Object.values(entry.sources).flat().map(variant => variant.src)));
+    Object.values(previous).flatMap(entry => Object.values(entry.sources).flat())
+        .filter(variant => !current.has(variant.src))
+        .forEach(variant => fs.rmSync(path.join(ROOT, variant.src), { force: true }));
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`\n✅ ${built} image(s) built, ${Object.keys(manifest).length - built} up to date — run node scripts/prerender.js next`);
+}
+
+main().catch(error => {
+    console.error('❌ Image build failed:', error.message || error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Check that every image and video the data refers to exists, in every language in
+ * data/languages.json, and list the files in images/ that nothing refers to.
+ * Paths are resolved by portfolio.js itself (image names, extensions, galleries, case studies).
+ *
+ * Usage: node scripts/check-assets.js [--strict]
+ * Exits with code 1 on missing files or wrong extensions; with --strict, unreferenced files
+ * fail the check as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AssetChecker = require('../assets/js/integrity.js');
+const { loadManager } = require('./prerender');
+
+const ROOT = path.resolve(__dirname, '..');
+const ASSET_DIR = 'images';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Every file under a directory, as paths relative to the site root (hidden files such as .DS_Store left out)
+ */
+function listFiles(directory) {
+    return fs.readdirSync(path.join(ROOT, directory), { withFileTypes: true }).flatMap(entry => {
+        if (entry.name.startsWith('.')) return [];
+        const relative = `${directory}/${entry.name}`;
+        return entry.isDirectory() ? listFiles(relative) : [relative];
+    });
+}
+
+async function main() {
+    const strict = process.argv.includes('--strict');
+    const manifest = readJson(path.join(ROOT, 'data', 'languages.json'));
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const references = [];
+
+    for (const { code } of manifest.languages) {
+        const { manager } = await loadManager(template, code);
+        references.push(...manager.getAssetReferences());
+    }
+
+    // Files outside images/ (videos, the favicon elsewhere) are looked up one by one
+    const outside = [...new Set(references.map(reference => reference.path))]
+        .filter(file => !file.startsWith(`${ASSET_DIR}/`))
+        .flatMap(file => [file, ...AssetChecker.getAlternatives(file)])
+        .filter(file => fs.existsSync(path.join(ROOT, file)));
+    const files = [...listFiles(ASSET_DIR), ...outside];
+
+    console.log(`🖼️ Checking ${new Set(references.map(reference => reference.path)).size} referenced file(s) ` +
+        `in ${manifest.languages.map(language => language.code).join(', ')} against ${files.length} file(s)\n`);
+
+    const report = new AssetChecker().check(references, files);
+    AssetChecker.formatReport(report).forEach(line => console.log(line));
+
+    const failed = AssetChecker.hasErrors(report) || (strict && report.unreferenced.length > 0);
+    console.log(`\n${failed ? '❌' : '✅'} ${AssetChecker.formatSummary(report)}`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Asset check failed:', error);
+    process.exitCode = 1;
+});
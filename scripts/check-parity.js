@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Check content parity between the language files registered in data/languages.json
+ * and the shared entries in data/portfolio.json
+ *
+ * Usage: node scripts/check-parity.js [--strict]
+ * Exits with code 1 on missing entries or mismatched language-neutral fields;
+ * with --strict, untranslated text fails the check as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ParityChecker = require('../assets/js/parity.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadLanguage(code) {
+    return { language: code, data: readJson(path.join(DATA_DIR, `portfolio_${code}.json`)) };
+}
+
+function main() {
+    const strict = process.argv.includes('--strict');
+    const manifest = readJson(path.join(DATA_DIR, 'languages.json'));
+    const codes = manifest.languages.map(language => language.code);
+
+    const base = loadLanguage(manifest.default);
+    const translations = codes.filter(code => code !== manifest.default).map(loadLanguage);
+    const shared = readJson(path.join(DATA_DIR, 'portfolio.json'));
+
+    console.log(`🌍 Comparing ${translations.map(t => t.language).join(', ') || '(none)'} against ${base.language}\n`);
+
+    const report = new ParityChecker().check(base, translations, shared);
+    const lines = ParityChecker.formatReport(report);
+    lines.forEach(line => console.log(line));
+
+    const failed = ParityChecker.hasErrors(report) || (strict && report.untranslated.length > 0);
+    console.log(`\n${failed ? '❌' : '✅'} ${report.missing.length + report.missingIds.length} missing, ` +
+        `${report.mismatched.length} mismatched, ${report.untranslated.length} untranslated`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
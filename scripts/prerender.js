@@ -0,0 +1,570 @@
+#!/usr/bin/env node
+/**
+ * Pre-render the page content into index.html (default language) and <lang>/index.html
+ * (every other language in data/languages.json), so crawlers, link previews and visitors
+ * without JavaScript get the full page. The content is rendered by portfolio.js itself,
+ * against a small static DOM built from index.html; the client then hydrates it.
+ * Next to each page it writes the web app manifest of that language (manifest.webmanifest), and
+ * it stamps the cache versions of sw.js with hashes of the files the service worker caches.
+ *
+ * Usage: node scripts/prerender.js [--check]
+ * Run it after changing data/, index.html or the theme colours in main.css. With --check
+ * nothing is written, and the exit code is 1 when a generated file is out of date.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATE = path.join(ROOT, 'index.html');
+const STYLESHEET = path.join(ROOT, 'assets', 'css', 'main.css');
+
+// Responsive variants written by scripts/build-images.js; pages only load it when it exists
+const IMAGE_MANIFEST = 'images/responsive/manifest.json';
+
+// Service worker whose cache versions follow the files it caches
+const SERVICE_WORKER = 'sw.js';
+
+// Design tokens (main.css :root) used as the app colours: the header and page background
+const THEME_COLOR_TOKEN = '--bg-primary';
+const BACKGROUND_COLOR_TOKEN = '--bg-primary';
+
+// Elements without content (no closing tag)
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Value of a custom property in the first :root block of main.css
+ */
+function readDesignToken(name) {
+    const root = fs.readFileSync(STYLESHEET, 'utf8').match(/:root\s*\{([^}]*)\}/);
+    const value = root?.[1].match(new RegExp(`${name}\\s*:\\s*([^;]+);`));
+    if (!value) throw new Error(`Design token ${name} not found in ${path.relative(ROOT, STYLESHEET)}`);
+    return value[1].trim();
+}
+
+/**
+ * Pixel size of a PNG ("800x800"), for the manifest icons
+ */
+function readPngSize(file) {
+    const header = fs.readFileSync(file).subarray(0, 24);
+    if (header.toString('latin1', 1, 4) !== 'PNG') throw new Error(`${path.relative(ROOT, file)} is not a PNG`);
+    return `${header.readUInt32BE(16)}x${header.readUInt32BE(20)}`;
+}
+
+/**
+ * Pixel size of a PNG or JPEG ({ width, height }), or null for other files
+ */
+function readImageSize(file) {
+    const data = fs.readFileSync(file);
+    if (data.toString('latin1', 1, 4) === 'PNG') {
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (data[0] !== 0xff || data[1] !== 0xd8) return null;
+
+    // Walk the JPEG segments up to the frame header (SOF0-SOF15, except DHT, JPG and DAC)
+    let offset = 2;
+    while (offset + 9 <= data.length && data[offset] === 0xff) {
+        const marker = data[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Image entries for the pre-rendered page: the intrinsic size of every image the page shows
+ * (so the markup reserves its space), with the responsive variants where they have been built
+ */
+function readImageManifest(manager) {
+    const sizes = {};
+    manager.getAssetReferences().forEach(({ path: image }) => {
+        const file = path.join(ROOT, image);
+        if (sizes[image] || !/\.(png|jpe?g)$/i.test(image) || !fs.existsSync(file)) return;
+        const size = readImageSize(file);
+        if (size) sizes[image] = size;
+    });
+
+    const manifest = path.join(ROOT, IMAGE_MANIFEST);
+    return { ...sizes, ...(fs.existsSync(manifest) ? readJson(manifest) : {}) };
+}
+
+/**
+ * Parse the attributes of an opening tag
+ * @returns {Array<[string, string|null]>} Name and value pairs in source order (null for bare attributes)
+ */
+function parseAttributes(source) {
+    const attributes = [];
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source || ''))) {
+        const value = match[2] ?? match[3] ?? match[4];
+        attributes.push([match[1], value === undefined ? null : decodeEntities(value)]);
+    }
+    return attributes;
+}
+
+function decodeEntities(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function encodeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Point the relative URLs of a page in a language subdirectory at the site root
+ * ("images/icon.png" becomes "../images/icon.png"); fragments, queries and links to the
+ * page itself (index.html?view=cv) stay relative to the page
+ */
+function rebaseUrls(page, root) {
+    const rebase = url => (!url || /^([a-z][a-z0-9+.-]*:|[/#?.]|index\.html\b)/i.test(url) ? url : `${root}${url}`);
+
+    return page
+        .replace(/(\s)(src|href|poster|data-fallback)="([^"]*)"/g, (match, space, name, url) => `${space}${name}="${rebase(url)}"`)
+        .replace(/(\s)srcset="([^"]*)"/g, (match, space, srcset) => `${space}srcset="${srcset.split(', ').map(rebase).join(', ')}"`);
+}
+
+/**
+ * File on disk behind a URL of the page
+ */
+function resolveFile(url, pageUrl) {
+    return path.join(ROOT, decodeURIComponent(new URL(url, pageUrl).pathname));
+}
+
+/**
+ * Element of the static page: records what the render code changes (content, attributes)
+ * so it can be written back into the HTML source
+ */
+class StaticElement {
+    constructor(document, node) {
+        this.ownerDocument = document;
+        this.node = node;
+        this.tagName = node ? node.tag.toUpperCase() : '';
+        this.attributes = new Map(node ? node.attributes : []);
+        this.content = null;
+        this.appended = [];
+        this.removed = false;
+        this.attributesChanged = false;
+        this.style = {};
+
+        const element = this;
+        this.classList = {
+            contains: name => element.getClassNames().includes(name),
+            add: (...names) => names.forEach(name => element.classList.toggle(name, true)),
+            remove: (...names) => names.forEach(name => element.classList.toggle(name, false)),
+            toggle(name, force) {
+                const names = element.getClassNames().filter(current => current !== name);
+                const on = force === undefined ? !element.classList.contains(name) : Boolean(force);
+                if (on) names.push(name);
+                element.setAttribute('class', names.join(' '));
+                return on;
+            }
+        };
+    }
+
+    getClassNames() {
+        return (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? (this.attributes.get(name) ?? '') : null;
+    }
+
+    setAttribute(name, value) {
+        const current = this.getAttribute(name);
+        this.attributes.set(name, String(value));
+        if (current !== String(value)) this.attributesChanged = true;
+    }
+
+    removeAttribute(name) {
+        if (this.attributes.delete(name)) this.attributesChanged = true;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    get id() { return this.getAttribute('id') || ''; }
+    get className() { return this.getAttribute('class') || ''; }
+    set className(value) { this.setAttribute('class', value); }
+    get title() { return this.getAttribute('title') || ''; }
+    set title(value) { this.setAttribute('title', value); }
+    get lang() { return this.getAttribute('lang') || ''; }
+    set lang(value) { this.setAttribute('lang', value); }
+
+    get dataset() {
+        const dataset = {};
+        this.attributes.forEach((value, name) => {
+            if (name.startsWith('data-')) {
+                dataset[name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value ?? '';
+            }
+        });
+        return dataset;
+    }
+
+    get innerHTML() { return this.content ?? ''; }
+    set innerHTML(value) { this.content = String(value); }
+    get textContent() { return this.content ?? ''; }
+    set textContent(value) { this.content = this.ownerDocument.escape(value); }
+
+    remove() { this.removed = true; }
+
+    insertAdjacentHTML(position, markup) {
+        if (position !== 'beforeend') throw new Error(`insertAdjacentHTML: unsupported position "${position}"`);
+        this.appended.push(String(markup));
+    }
+
+    // Rendering only writes markup; structural changes (generated sections) are left to the client
+    get children() { return []; }
+    querySelector() { return null; }
+    querySelectorAll() { return []; }
+    closest() { return null; }
+    scrollIntoView() {}
+    appendChild(child) { return child; }
+    after() {}
+    addEventListener() {}
+}
+
+/**
+ * Minimal document over an HTML source, for the render code of portfolio.js
+ */
+class StaticDocument {
+    constructor(source, escape) {
+        this.source = source;
+        this.escape = escape;
+        this.elements = [];
+
+        const pattern = /<([a-zA-Z][\w-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+        let match;
+        while ((match = pattern.exec(source))) {
+            const node = { tag: match[1].toLowerCase(), start: match.index, openEnd: pattern.lastIndex, attributes: parseAttributes(match[2]) };
+            this.elements.push(new StaticElement(this, node));
+        }
+
+        this.documentElement = this.elements.find(element => element.node.tag === 'html');
+        this.head = this.elements.find(element => element.node.tag === 'head');
+        this.body = this.elements.find(element => element.node.tag === 'body');
+    }
+
+    get title() {
+        return this.elements.find(element => element.node.tag === 'title')?.textContent || '';
+    }
+
+    set title(value) {
+        const title = this.elements.find(element => element.node.tag === 'title');
+        if (title) title.textContent = value;
+    }
+
+    getElementById(id) {
+        return this.elements.find(element => element.getAttribute('id') === id) || null;
+    }
+
+    /**
+     * Simple selectors only: tag, .class and [attribute] / [attribute="value"], combined
+     */
+    querySelectorAll(selector) {
+        const match = selector.trim().match(/^([a-z][\w-]*)?((?:\.[\w-]+)*)((?:\[[\w-]+(?:="[^"]*")?\])*)$/i);
+        if (!match) return [];
+
+        const classes = match[2].split('.').filter(Boolean);
+        const attributes = [...match[3].matchAll(/\[([\w-]+)(?:="([^"]*)")?\]/g)].map(([, name, value]) => ({ name, value }));
+
+        return this.elements.filter(element => (
+            (!match[1] || element.node.tag === match[1].toLowerCase()) &&
+            classes.every(name => element.classList.contains(name)) &&
+            attributes.every(({ name, value }) => element.hasAttribute(name) && (value === undefined || element.getAttribute(name) === value))
+        ));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    createElement(tag) {
+        return new StaticElement(this, { tag, start: -1, openEnd: -1, attributes: [] });
+    }
+
+    addEventListener() {}
+
+    /**
+     * The HTML source with every change written back
+     */
+    serialize() {
+        const patches = [];
+
+        this.elements.forEach(element => {
+            const { node } = element;
+            if (element.removed) {
+                patches.push(this.getRemovalPatch(node));
+                return;
+            }
+            
+            if (element.style.display !== undefined) {
+                if (element.style.display) {
+                    element.setAttribute('style', `display: ${element.style.display}`);
+                } else {
+                    element.removeAttribute('style');
+                }
+            }
+
+            if (element.attributesChanged) {
+                const attributes = [...element.attributes].map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${encodeAttribute(value)}"`));
+                patches.push({ start: node.start, end: node.openEnd, text: `<${node.tag}${attributes.join('')}>` });
+            }
+
+            if (element.content !== null && !VOID_ELEMENTS.includes(node.tag)) {
+                // Keep the closing tag on its own line, at its indentation, when it was
+                const end = this.findClosingTag(node);
+                const closingIndent = this.source.slice(node.openEnd, end).match(/\n[ \t]*$/)?.[0];
+                const text = closingIndent ? element.content.trimEnd() + closingIndent : element.content;
+                patches.push({ start: node.openEnd, end, text });
+            }
+
+            if (element.appended.length > 0) {
+                patches.push(this.getAppendPatch(node, element.appended.join('\n')));
+            }
+        });
+
+        // From the end, so earlier offsets stay valid
+        return patches
+            .sort((a, b) => b.start - a.start)
+            .reduce((source, patch) => source.slice(0, patch.start) + patch.text + source.slice(patch.end), this.source);
+    }
+
+    /**
+     * Patch that deletes an element, with its line when it is alone on it
+     */
+    getRemovalPatch(node) {
+        let start = node.start;
+        let end = VOID_ELEMENTS.includes(node.tag) ? node.openEnd : this.source.indexOf('>', this.findClosingTag(node)) + 1;
+
+        const lineStart = this.source.lastIndexOf('\n', start - 1) + 1;
+        if (/^[ \t]*$/.test(this.source.slice(lineStart, start)) && this.source[end] === '\n') {
+            start = lineStart;
+            end++;
+        }
+        return { start, end, text: '' };
+    }
+
+    /**
+     * Patch that adds markup as the last lines of an element, indented one level deeper than its closing tag
+     */
+    getAppendPatch(node, markup) {
+        const closing = this.findClosingTag(node);
+        const lineStart = this.source.lastIndexOf('\n', closing - 1) + 1;
+        const indent = `${this.source.slice(lineStart, closing)}    `;
+        const text = markup.split('\n').map(line => `${indent}${line}\n`).join('');
+        return { start: lineStart, end: lineStart, text };
+    }
+
+    /**
+     * Offset of the closing tag that matches an element's opening tag
+     */
+    findClosingTag(node) {
+        const pattern = new RegExp(`<(/?)${node.tag}\\b[^>]*>`, 'gi');
+        pattern.lastIndex = node.openEnd;
+        let depth = 1;
+        let match;
+        while ((match = pattern.exec(this.source))) {
+            depth += match[1] ? -1 : 1;
+            if (depth === 0) return match.index;
+        }
+        throw new Error(`No closing tag for <${node.tag}> at offset ${node.start}`);
+    }
+}
+
+/**
+ * Browser globals for the page scripts: the static document, files read from disk as fetch(),
+ * and quiet logging (warnings and errors only)
+ */
+function createContext(document, url) {
+    const { search, hash, pathname, href } = new URL(url, 'http://localhost/');
+    const context = {
+        console: { log() {}, info() {}, warn: console.warn, error: console.error },
+        document,
+        location: { search, hash, pathname, href },
+        history: { pushState() {}, replaceState() {} },
+        navigator: { onLine: true },
+        URL,
+        URLSearchParams,
+        Intl,
+        PerformanceObserver: class { observe() {} },
+        setTimeout,
+        clearTimeout,
+        requestAnimationFrame: callback => setTimeout(callback, 0),
+        addEventListener() {},
+        scrollTo() {},
+        fetch: async file => {
+            const target = resolveFile(String(file), href);
+            if (!target.startsWith(ROOT) || !fs.existsSync(target)) return { ok: false, status: 404 };
+            return { ok: true, status: 200, json: async () => readJson(target) };
+        }
+    };
+    context.window = context;
+    return vm.createContext(context);
+}
+
+/**
+ * Run the page scripts of a template against its static DOM and load one language's content
+ * (also used by scripts/build-images.js and scripts/check-assets.js to list the files the page shows)
+ * @param {string} template - Page HTML
+ * @param {string} language - Language the content must end up in
+ * @param {string} [url] - Page URL the scripts see (default index.html?lang=<language>)
+ * @returns {Promise<{manager: ModernPortfolioManager, document: StaticDocument, context: Object}>}
+ */
+async function loadManager(template, language, url = `index.html?lang=${language}`) {
+    const scripts = [...template.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+    // html.js comes first, so its escaping is available for textContent
+    const document = new StaticDocument(template, value => context.escapeHTML(value));
+    const context = createContext(document, url);
+    scripts.forEach(script => {
+        vm.runInContext(fs.readFileSync(resolveFile(script, context.location.href), 'utf8'), context, { filename: script });
+    });
+
+    const manager = vm.runInContext('new ModernPortfolioManager({ init: false })', context);
+    await manager.loadContent();
+    if (manager.currentLanguage !== language) {
+        throw new Error(`${language}: data not available (fell back to ${manager.currentLanguage})`);
+    }
+
+    return { manager, document, context };
+}
+
+/**
+ * Render one language into the template, with its web app manifest
+ * @returns {Promise<Array<{file: string, content: string}>>} Generated files, paths relative to the site root
+ */
+async function renderLanguage(template, language, isDefault) {
+    const { manager, document } = await loadManager(template, language);
+    manager.imageManifest = readImageManifest(manager);
+
+    manager.renderContent();
+    manager.updateMobileNavLabels();
+    manager.updateModalLabels();
+    manager.renderLanguageMenu();
+
+    const themeColor = readDesignToken(THEME_COLOR_TOKEN);
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', themeColor);
+    document.documentElement.setAttribute('lang', language);
+    document.documentElement.setAttribute('data-prerendered', language);
+    if (fs.existsSync(path.join(ROOT, IMAGE_MANIFEST))) {
+        document.documentElement.setAttribute('data-image-manifest', IMAGE_MANIFEST);
+    } else {
+        document.documentElement.removeAttribute('data-image-manifest');
+    }
+
+    // Pages in a subdirectory load assets and data from the site root
+    const root = isDefault ? '' : '../';
+    if (root) document.documentElement.setAttribute('data-root', root);
+
+    const page = rebaseUrls(document.serialize(), root);
+
+    const icon = manager.data.meta?.favicon;
+    const manifest = manager.getWebManifest({
+        root,
+        icons: icon ? [{ src: icon, sizes: readPngSize(path.join(ROOT, icon)), type: 'image/png' }] : [],
+        themeColor,
+        backgroundColor: readDesignToken(BACKGROUND_COLOR_TOKEN)
+    });
+
+    return [
+        { file: isDefault ? 'index.html' : `${language}/index.html`, content: page },
+        { file: manager.getManifestFile(language), content: `${JSON.stringify(manifest, null, 2)}\n` }
+    ];
+}
+
+/**
+ * Every file under a directory, as paths relative to the site root (hidden files left out)
+ */
+function listFiles(directory) {
+    return fs.readdirSync(path.join(ROOT, directory), { withFileTypes: true }).flatMap(entry => {
+        if (entry.name.startsWith('.')) return [];
+        const relative = `${directory}/${entry.name}`;
+        return entry.isDirectory() ? listFiles(relative) : [relative];
+    });
+}
+
+/**
+ * Short hash of a set of files (paths and contents)
+ * @param {Array<{file: string, content: string|Buffer}>} files
+ */
+function hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(({ file, content }) => hash.update(`${file}\0`).update(content).update('\0'));
+    return hash.digest('hex').slice(0, 10);
+}
+
+/**
+ * sw.js with its cache versions derived from what it caches: the generated pages and
+ * manifests with assets/ for the shell cache, images/ for the image cache. A deploy that
+ * changes any of them changes sw.js, so browsers install the new worker.
+ * @param {Array<{file: string, content: string}>} outputs - The generated pages and manifests
+ */
+function renderServiceWorker(outputs) {
+    const read = file => ({ file, content: fs.readFileSync(path.join(ROOT, file)) });
+    const versions = {
+        CACHE_VERSION: hashFiles([...outputs, ...listFiles('assets').map(read)]),
+        IMAGE_CACHE_VERSION: hashFiles(listFiles('images').map(read))
+    };
+
+    let content = fs.readFileSync(path.join(ROOT, SERVICE_WORKER), 'utf8');
+    Object.entries(versions).forEach(([name, version]) => {
+        const pattern = new RegExp(`^const ${name} = '[^']*';`, 'm');
+        if (!pattern.test(content)) throw new Error(`${SERVICE_WORKER} has no ${name} to update`);
+        content = content.replace(pattern, `const ${name} = '${version}';`);
+    });
+
+    return { file: SERVICE_WORKER, content };
+}
+
+async function main() {
+    const check = process.argv.includes('--check');
+    const manifest = readJson(path.join(ROOT, 'data', 'languages.json'));
+    const template = fs.readFileSync(TEMPLATE, 'utf8');
+    const outputs = [];
+    let outdated = 0;
+
+    for (const { code } of manifest.languages) {
+        outputs.push(...await renderLanguage(template, code, code === manifest.default));
+    }
+    outputs.push(renderServiceWorker(outputs));
+
+    outputs.forEach(({ file: relative, content }) => {
+        const file = path.join(ROOT, relative);
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+        if (content === current) {
+            console.log(`✅ ${relative}: up to date`);
+        } else if (check) {
+            console.log(`❌ ${relative}: out of date`);
+            outdated++;
+        } else {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, content);
+            console.log(`📝 ${relative}: generated`);
+        }
+    });
+
+    if (check) {
+        console.log(outdated === 0 ? '\n✅ Generated files are up to date' : `\n❌ ${outdated} file(s) out of date — run node scripts/prerender.js`);
+        process.exitCode = outdated === 0 ? 0 : 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Pre-rendering failed:', error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { loadManager };
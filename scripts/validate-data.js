@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Validate data/*.json against the schemas in data/schema/
+ * Language files are validated as the site loads them: data/portfolio.json merged
+ * with the overlays of the language's fallback chain.
+ *
+ * Usage: node scripts/validate-data.js [file ...]
+ * Exits with code 1 when any file is invalid, so it can run before committing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DataValidator = require('../assets/js/validator.js');
+const { mergePortfolio } = require('../assets/js/merge.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const SCHEMA_DIR = path.join(DATA_DIR, 'schema');
+
+// Data file name pattern → schema file (merged: validate shared data + language overlays)
+const SCHEMA_MAP = [
+    { pattern: /^portfolio_[a-z]{2,3}(-[A-Za-z0-9]+)?\.json$/, schema: 'portfolio.schema.json', merged: true },
+    { pattern: /^social\.json$/, schema: 'social.schema.json' },
+    { pattern: /^languages\.json$/, schema: 'languages.schema.json' },
+    { pattern: /^collections\.json$/, schema: 'collections.schema.json' }
+];
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Merge shared data with the overlays of a language's fallback chain (most specific last)
+ */
+function loadMergedLanguage(file, data) {
+    const code = path.basename(file).match(/^portfolio_(.+)\.json$/)[1];
+    const manifest = readJson(path.join(DATA_DIR, 'languages.json'));
+    const language = manifest.languages.find(entry => entry.code === code);
+    const fallbacks = [...new Set([...(language ? language.fallback : []), manifest.default])]
+        .filter(fallback => fallback !== code);
+
+    const overlays = fallbacks.reverse()
+        .map(fallback => path.join(path.dirname(file), `portfolio_${fallback}.json`))
+        .filter(fallbackFile => fs.existsSync(fallbackFile))
+        .map(readJson);
+
+    return mergePortfolio(readJson(path.join(path.dirname(file), 'portfolio.json')), ...overlays, data);
+}
+
+function validateFile(file) {
+    const name = path.basename(file);
+    const mapping = SCHEMA_MAP.find(entry => entry.pattern.test(name));
+    const relative = path.relative(ROOT, file);
+
+    if (name === 'portfolio.json') {
+        console.log(`⏭️  ${relative}: shared data, validated with each portfolio_<lang>.json`);
+        return true;
+    }
+
+    if (!mapping) {
+        console.log(`⏭️  ${relative}: no schema, skipped`);
+        return true;
+    }
+
+    let data;
+    try {
+        data = readJson(file);
+        if (mapping.merged) data = loadMergedLanguage(file, data);
+    } catch (error) {
+        console.log(`❌ ${relative}: invalid JSON — ${error.message}`);
+        return false;
+    }
+
+    const validator = new DataValidator(readJson(path.join(SCHEMA_DIR, mapping.schema)));
+    const errors = validator.validate(data);
+
+    if (errors.length === 0) {
+        console.log(`✅ ${relative}`);
+        return true;
+    }
+
+    console.log(`❌ ${relative}: ${errors.length} error(s)`);
+    errors.forEach(error => {
+        console.log(`   ${DataValidator.formatPath(error.path)} ${error.message}`);
+    });
+    return false;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const files = args.length > 0
+        ? args.map(file => path.resolve(file))
+        : fs.readdirSync(DATA_DIR)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => path.join(DATA_DIR, name));
+
+    const results = files.map(validateFile);
+    const failed = results.filter(ok => !ok).length;
+
+    console.log(failed === 0 ? '\n✅ All data files are valid' : `\n❌ ${failed} file(s) failed validation`);
+    process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,224 @@
+/**
+ * Service Worker
+ * Offline support: the page shell, fonts and the JSON data of every language are precached on
+ * install; the avatar and thumbnails are precached when the page lists them, full-size images are
+ * cached as they are viewed. Pages, scripts and styles come from the network first and from the
+ * cache offline; data is served from the cache and refreshed in the background
+ * (stale-while-revalidate). Open pages are told when a data file changes (they re-render) and
+ * when a page, script or style changes (they offer to reload).
+ *
+ * The cache versions are written by scripts/prerender.js: hashes of the shell files and of
+ * images/, so a deploy that changes them installs a new worker, which drops the outdated cache.
+ */
+
+const CACHE_VERSION = 'dde11bbe8e';
+const IMAGE_CACHE_VERSION = 'e5b2c9ae10';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`; // Pages, styles, scripts, fonts, data
+const IMAGE_CACHE = `portfolio-images-${IMAGE_CACHE_VERSION}`; // Thumbnails and full-size images
+
+// Shared data files; language files are added from data/languages.json
+const PRECACHE_DATA = [
+    'data/languages.json',
+    'data/collections.json',
+    'data/portfolio.json',
+    'data/social.json',
+    'data/schema/portfolio.schema.json',
+    'data/schema/social.schema.json'
+];
+
+const PRECACHE_FONTS = [
+    'assets/webfonts/fa-brands-400.woff2',
+    'assets/webfonts/fa-regular-400.woff2',
+    'assets/webfonts/fa-solid-900.woff2'
+];
+
+// Requests answered cache-first: they only change with the cache versions (the image manifest does without)
+const CACHE_FIRST_PATTERN = /\/(images|assets\/webfonts)\/.+\.(?!json$)[^.]+$/;
+
+// Requests answered network-first, besides navigations: pages, scripts, styles, web app manifests
+const NETWORK_FIRST_PATTERN = /(\/|\.(html|js|css|webmanifest))$/;
+
+// Data files whose changes re-render open pages
+const DATA_PATTERN = /\/data\/.+\.json$/;
+
+/**
+ * Everything to precache: the pages of every language, the styles and scripts index.html
+ * links, fonts and data
+ */
+async function getPrecacheUrls() {
+    const [page, manifest] = await Promise.all([
+        fetch('index.html').then(response => response.text()),
+        fetch('data/languages.json').then(response => response.json())
+    ]);
+
+    const assets = [...page.matchAll(/<(?:script|link)\b[^>]*?\s(?:src|href)="([^"#?:]+)"/g)].map(match => match[1]);
+    const pages = manifest.languages
+        .filter(language => language.code !== manifest.default)
+        .flatMap(language => [`${language.code}/`, `${language.code}/index.html`, `${language.code}/manifest.webmanifest`]);
+    const languageData = manifest.languages.flatMap(language => [
+        `data/portfolio_${language.code}.json`,
+        `data/i18n/${language.code}.json`
+    ]);
+
+    return [...new Set(['./', 'index.html', ...pages, ...assets, ...PRECACHE_FONTS, ...PRECACHE_DATA, ...languageData])];
+}
+
+/**
+ * Add URLs to a cache, skipping the ones already in it; one missing file doesn't fail the rest
+ */
+async function addToCache(cacheName, urls) {
+    const cache = await caches.open(cacheName);
+    await Promise.all(urls.map(async url => {
+        if (await cache.match(url)) return;
+        try {
+            // Past the browser's HTTP cache, which may still hold the previous deploy
+            await cache.add(new Request(url, { cache: 'no-cache' }));
+        } catch (error) {
+            console.warn(`⚠️ Could not cache ${url}:`, error);
+        }
+    }));
+}
+
+/**
+ * Tell open pages that something changed
+ * @param {Object} message - { type: 'content-updated' | 'app-updated', url }
+ * @param {string} [exceptClientId] - Page that already has the new version
+ */
+async function notifyClients(message, exceptClientId) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients
+        .filter(client => client.id !== exceptClientId)
+        .forEach(client => client.postMessage(message));
+}
+
+/**
+ * Cache key of a request: pages are the same whatever the query (?lang=ru&view=cv), so they
+ * are cached without it
+ */
+function getCacheKey(request) {
+    const key = new URL(request.url);
+    if (request.mode === 'navigate') key.search = '';
+    return key.href;
+}
+
+/**
+ * Store a fresh response, and post a message to the open pages when it differs from the cached copy
+ * @param {Cache} cache
+ * @param {string} key
+ * @param {Response} response - Not used afterwards (pass a clone)
+ * @param {?Object} message - Posted when the content changed
+ * @param {string} [exceptClientId] - Page not to tell
+ */
+async function updateCache(cache, key, response, message, exceptClientId) {
+    const cached = await cache.match(key);
+    await cache.put(key, response.clone());
+    if (!cached || !message) return;
+
+    const [previous, current] = await Promise.all([cached.text(), response.text()]);
+    if (previous !== current) await notifyClients(message, exceptClientId);
+}
+
+/**
+ * Cached response first; the network (and the cache) only for what isn't cached yet
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Network response, cached for offline use; the cached copy when the network fails. A page,
+ * script or style that changed is reported to the other open pages, which still run the old one.
+ */
+async function networkFirst(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const key = getCacheKey(request);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const message = { type: 'app-updated', url: request.url };
+            event.waitUntil(updateCache(cache, key, response.clone(), message, event.resultingClientId || event.clientId));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cached response right away, refreshed from the network in the background; the network
+ * response when nothing is cached. A changed data file is reported to the open pages.
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const key = getCacheKey(request);
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request).then(async response => {
+        if (!response.ok) return response;
+
+        const isData = DATA_PATTERN.test(new URL(request.url).pathname);
+        await updateCache(cache, key, response.clone(), isData ? { type: 'content-updated', url: request.url } : null);
+        return response;
+    });
+
+    if (!cached) return refresh;
+
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        getPrecacheUrls()
+            .then(urls => addToCache(SHELL_CACHE, urls))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// A new version drops the outdated caches; pages opened with the previous shell are offered a reload
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const outdated = (await caches.keys())
+            .filter(name => name.startsWith('portfolio-') && ![SHELL_CACHE, IMAGE_CACHE].includes(name));
+        await Promise.all(outdated.map(name => caches.delete(name)));
+        await self.clients.claim();
+
+        if (outdated.some(name => name.startsWith('portfolio-shell-'))) {
+            await notifyClients({ type: 'app-updated', url: self.location.href });
+        }
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (CACHE_FIRST_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (request.mode === 'navigate' || NETWORK_FIRST_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirst(event));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// The page lists its images once the data is loaded ({ type: 'precache', urls })
+self.addEventListener('message', event => {
+    if (event.data?.type === 'precache' && Array.isArray(event.data.urls)) {
+        event.waitUntil(addToCache(IMAGE_CACHE, event.data.urls));
+    }
+});
@@ -0,0 +1,84 @@
+/**
+ * Card filter: URL state and matching. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createFilter,
+    isFilterActive,
+    parseFilter,
+    formatFilterQuery,
+    getItemPlatforms,
+    buildSkillIndex,
+    matchesFilter,
+    collectFilterOptions
+} = require('../assets/js/filter.js');
+
+const skillIndex = buildSkillIndex([
+    { id: 'csharp', name: 'C#', category: 'languages' },
+    { id: 'engines', name: 'Engines', tags: ['Unity', 'Godot'], category: 'tools' }
+]);
+
+const items = [
+    { title: 'Tower Raft', description: 'Network battles', techTags: ['Unity', 'C#'], genre: 'Action / Puzzle', links: [{ icon: 'google-play' }] },
+    { title: 'Deep View', description: 'A jam game', techTags: ['Godot', 'WebGL'], genre: 'Puzzle' },
+    { title: 'Forge', description: 'Crafting', contribution: ['Network code'], platforms: ['pc'] }
+];
+
+const titles = filter => items.filter(item => matchesFilter(item, filter, skillIndex)).map(item => item.title);
+
+test('parseFilter reads repeated chips, search, sort and view', () => {
+    assert.deepStrictEqual(parseFilter('?lang=ru&tag=Unity&tag=C%23&tag=Unity&genre=Puzzle&platform=Mobile&platform=tv&q=net&sort=newest&view=timeline'), {
+        tags: ['Unity', 'C#'],
+        genres: ['Puzzle'],
+        skills: [],
+        categories: [],
+        platforms: ['mobile'],
+        query: 'net',
+        sort: 'newest',
+        view: 'timeline'
+    });
+    assert.deepStrictEqual(parseFilter('?sort=random&view=list'), createFilter());
+});
+
+test('formatFilterQuery keeps other parameters and leaves defaults out', () => {
+    const filter = { ...createFilter(), tags: ['C#'], skills: ['csharp'], query: ' net ', sort: 'longest' };
+    assert.strictEqual(formatFilterQuery(filter, '?lang=ru&tag=Old&view=cv'), '?lang=ru&tag=C%23&skill=csharp&q=net&sort=longest');
+    assert.strictEqual(formatFilterQuery(createFilter(), '?q=old&view=timeline'), '');
+});
+
+test('filters round-trip through the URL', () => {
+    const filter = { ...createFilter(), genres: ['Action'], categories: ['tools'], platforms: ['web', 'pc'], query: 'jam', view: 'cv' };
+    assert.deepStrictEqual(parseFilter(formatFilterQuery(filter, '')), filter);
+});
+
+test('only chips and search make a filter active', () => {
+    assert.strictEqual(isFilterActive({ ...createFilter(), sort: 'newest', view: 'timeline', query: '  ' }), false);
+    assert.strictEqual(isFilterActive({ ...createFilter(), platforms: ['web'] }), true);
+});
+
+test('platforms come from the field, else from store links and tech tags', () => {
+    assert.deepStrictEqual(items.map(getItemPlatforms), [['mobile'], ['web'], ['pc']]);
+});
+
+test('chips must all match, platforms are alternatives', () => {
+    assert.deepStrictEqual(titles({ ...createFilter(), genres: ['Puzzle'] }), ['Tower Raft', 'Deep View']);
+    assert.deepStrictEqual(titles({ ...createFilter(), tags: ['Unity', 'C#'] }), ['Tower Raft']);
+    assert.deepStrictEqual(titles({ ...createFilter(), skills: ['engines'] }), ['Tower Raft', 'Deep View']);
+    assert.deepStrictEqual(titles({ ...createFilter(), categories: ['languages'] }), ['Tower Raft']);
+    assert.deepStrictEqual(titles({ ...createFilter(), platforms: ['web', 'pc'] }), ['Deep View', 'Forge']);
+});
+
+test('search matches every word in title, description and contribution', () => {
+    assert.deepStrictEqual(titles({ ...createFilter(), query: 'NETWORK' }), ['Tower Raft', 'Forge']);
+    assert.deepStrictEqual(titles({ ...createFilter(), query: 'network code' }), ['Forge']);
+});
+
+test('chip options are ranked by use', () => {
+    assert.deepStrictEqual(collectFilterOptions(items, skillIndex), {
+        tags: ['C#', 'Godot', 'Unity', 'WebGL'],
+        genres: ['Puzzle', 'Action'],
+        categories: ['tools', 'languages']
+    });
+});
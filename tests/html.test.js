@@ -0,0 +1,48 @@
+/**
+ * html`` escaping and the URL scheme allowlist. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeHTML, sanitizeUrl, rawHTML, html } = require('../assets/js/html.js');
+
+test('escapeHTML escapes markup and quotes', () => {
+    assert.strictEqual(escapeHTML(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.strictEqual(escapeHTML(null), '');
+});
+
+test('interpolated text is escaped', () => {
+    assert.strictEqual(String(html`<p>${'<script>alert(1)</script>'}</p>`), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.strictEqual(String(html`<img alt="${'" onerror="x'}">`), '<img alt="&quot; onerror=&quot;x">');
+});
+
+test('nested templates, arrays and rawHTML are inserted as markup', () => {
+    const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+    assert.strictEqual(String(html`<ul>${items}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    assert.strictEqual(String(html`${rawHTML('<br>')}`), '<br>');
+});
+
+test('null, undefined and false render as nothing', () => {
+    assert.strictEqual(String(html`${null}${undefined}${false}${0}`), '0');
+});
+
+test('allowlisted and relative URLs are kept', () => {
+    ['https://example.com', 'http://example.com', 'mailto:me@example.com', 'images/a.png', '#about', '//cdn.example.com/a.js'].forEach(url => {
+        assert.strictEqual(sanitizeUrl(url), url);
+    });
+});
+
+test('other schemes are blocked', t => {
+    t.mock.method(console, 'warn', () => {});
+    ['javascript:alert(1)', ' JAVASCRIPT:alert(1)', 'java\tscript:alert(1)', 'data:text/html,x', 'vbscript:x'].forEach(url => {
+        assert.strictEqual(sanitizeUrl(url), '#', url);
+    });
+});
+
+test('URL attributes go through the allowlist, other attributes do not', t => {
+    t.mock.method(console, 'warn', () => {});
+    const url = 'javascript:alert(1)';
+    assert.strictEqual(String(html`<a href="${url}">x</a>`), '<a href="#">x</a>');
+    assert.strictEqual(String(html`<img src='${url}'>`), `<img src='#'>`);
+    assert.strictEqual(String(html`<a title="${url}">x</a>`), '<a title="javascript:alert(1)">x</a>');
+});
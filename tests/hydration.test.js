@@ -0,0 +1,29 @@
+/**
+ * Hydrating a pre-rendered page recomputes the text that depends on today's date
+ * (total experience, "Present" durations). Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadManager } = require('../scripts/prerender');
+
+const ROOT = path.resolve(__dirname, '..');
+
+test('hydration replaces experience figures from the build', async () => {
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const { manager, document } = await loadManager(template, 'en');
+
+    // Stand-ins for figures computed on an earlier day
+    document.getElementById('hero-experience').textContent = 'stale';
+    document.getElementById('experience-list').innerHTML = '<span class="experience-duration">stale</span>';
+
+    manager.hydrateSections();
+
+    const years = Math.floor(manager.getExperienceMonths() / 12);
+    assert.strictEqual(document.getElementById('hero-experience').textContent, manager.t('hero.experience', { count: years }));
+    const list = document.getElementById('experience-list').innerHTML;
+    assert.doesNotMatch(list, /stale/);
+    assert.match(list, /experience-duration/);
+});
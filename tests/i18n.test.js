@@ -0,0 +1,68 @@
+/**
+ * UI string lookup: interpolation, plural forms and language fallback.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const StringCatalog = require('../assets/js/i18n.js');
+
+const english = {
+    language: 'en',
+    strings: {
+        nav: { about: 'About' },
+        greeting: 'Hi, {name}!',
+        years: { one: '{count} year', other: '{count} years' },
+        projects: { 0: 'No projects', one: '{count} project', other: '{count} projects' }
+    }
+};
+const russian = {
+    language: 'ru',
+    strings: {
+        years: { one: '{count} год', few: '{count} года', many: '{count} лет', other: '{count} года' }
+    }
+};
+
+test('dotted keys and {name} placeholders', () => {
+    const catalog = new StringCatalog('en', [english]);
+    assert.strictEqual(catalog.t('nav.about'), 'About');
+    assert.strictEqual(catalog.t('greeting', { name: 'Ann' }), 'Hi, Ann!');
+    assert.strictEqual(catalog.t('greeting'), 'Hi, {name}!');
+});
+
+test('English plurals, with exact counts first', () => {
+    const catalog = new StringCatalog('en', [english]);
+    assert.strictEqual(catalog.t('years', { count: 1 }), '1 year');
+    assert.strictEqual(catalog.t('years', { count: 5 }), '5 years');
+    assert.strictEqual(catalog.t('projects', { count: 0 }), 'No projects');
+    assert.strictEqual(catalog.t('years'), '{count} years');
+});
+
+test('Russian plurals use one, few and many', () => {
+    const catalog = new StringCatalog('ru', [russian, english]);
+    assert.deepStrictEqual([1, 3, 5, 11, 21, 22, 25].map(count => catalog.t('years', { count })), [
+        '1 год', '3 года', '5 лет', '11 лет', '21 год', '22 года', '25 лет'
+    ]);
+});
+
+test('missing keys fall back to the next catalog with its own plural rules', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const catalog = new StringCatalog('ru', [russian, english]);
+
+    assert.strictEqual(catalog.t('projects', { count: 1 }), '1 project');
+    assert.strictEqual(catalog.t('nav.contact'), 'nav.contact');
+    assert.deepStrictEqual([...catalog.missingKeys], ['projects', 'nav.contact']);
+
+    // Reported once per key
+    catalog.t('projects', { count: 2 });
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+test('showMissing marks missing and fallback strings', t => {
+    t.mock.method(console, 'warn', () => {});
+    const catalog = new StringCatalog('ru', [russian, english], { showMissing: true });
+
+    assert.strictEqual(catalog.t('nav.about'), '⟦About⟧');
+    assert.strictEqual(catalog.t('nav.contact'), '⟦nav.contact⟧');
+    assert.strictEqual(catalog.t('years', { count: 2 }), '2 года');
+});
@@ -0,0 +1,29 @@
+/**
+ * The pre-rendered pages reserve the space of their images (width/height), and only request
+ * the responsive image manifest when it exists. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const IMAGE_MANIFEST = 'images/responsive/manifest.json';
+
+['index.html', 'ru/index.html'].forEach(page => {
+    const source = fs.readFileSync(path.join(ROOT, page), 'utf8');
+
+    test(`${page}: images have their intrinsic size`, () => {
+        const images = [...source.matchAll(/<img\b[^>]*>/g)].map(match => match[0])
+            .filter(image => /\ssrc="[^"]+\.(png|jpe?g)"/i.test(image));
+
+        assert.ok(images.length > 0);
+        images.forEach(image => assert.match(image, /\swidth="\d+" height="\d+"/, image));
+    });
+
+    test(`${page}: names the image manifest only when it exists`, () => {
+        const named = /<html\b[^>]*\sdata-image-manifest=/.test(source);
+        assert.strictEqual(named, fs.existsSync(path.join(ROOT, IMAGE_MANIFEST)));
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Gallery image loader: fallback files, shared loads, the bounded cache and cancelling.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ImageLoader = require('../assets/js/loader.js');
+
+// Stand-in for the browser Image: records every file requested; tests finish loads by hand
+const requests = [];
+global.Image = class {
+    set src(value) {
+        this.currentSrc = value;
+        if (value) requests.push({ image: this, src: value });
+    }
+
+    get src() {
+        return this.currentSrc;
+    }
+};
+
+const lastRequest = () => requests[requests.length - 1];
+
+test.beforeEach(() => {
+    requests.length = 0;
+});
+
+test('a failed file falls back to the next one', async () => {
+    const loader = new ImageLoader();
+    const loading = loader.load(['fulls/a.webp', 'fulls/a.jpg', 'thumbs/a.jpg']);
+
+    lastRequest().image.onerror();
+    assert.strictEqual(lastRequest().src, 'fulls/a.jpg');
+    lastRequest().image.onload();
+
+    assert.strictEqual(await loading, 'fulls/a.jpg');
+    assert.strictEqual(loader.isLoaded(['fulls/a.webp']), true);
+});
+
+test('failures reject and are not cached', async () => {
+    const loader = new ImageLoader();
+    const loading = loader.load(['a.jpg']);
+    lastRequest().image.onerror();
+
+    await assert.rejects(loading, /Failed to load image: a\.jpg/);
+    assert.strictEqual(loader.isLoaded(['a.jpg']), false);
+
+    loader.load(['a.jpg']);
+    assert.strictEqual(requests.length, 2);
+});
+
+test('loads in flight are shared and loaded images are not requested again', async () => {
+    const loader = new ImageLoader();
+    loader.prefetch(['a.jpg']);
+    const loading = loader.load(['a.jpg']);
+    assert.strictEqual(requests.length, 1);
+
+    lastRequest().image.onload();
+    assert.strictEqual(await loading, 'a.jpg');
+    assert.strictEqual(await loader.load(['a.jpg']), 'a.jpg');
+    assert.strictEqual(requests.length, 1);
+});
+
+test('the least recently shown image leaves the cache first', async () => {
+    const loader = new ImageLoader({ maxEntries: 2 });
+    const show = async key => {
+        const loading = loader.load([key]);
+        if (!loader.isLoaded([key])) lastRequest().image.onload();
+        await loading;
+    };
+
+    await show('a.jpg');
+    await show('b.jpg');
+    await show('a.jpg');
+    await show('c.jpg');
+
+    assert.deepStrictEqual(['a.jpg', 'b.jpg', 'c.jpg'].map(key => loader.isLoaded([key])), [true, false, true]);
+});
+
+test('cancelExcept stops the loads nobody needs', async () => {
+    const loader = new ImageLoader();
+    const first = loader.load(['a.jpg']);
+    const second = loader.load(['b.jpg']);
+    const [a, b] = requests;
+
+    loader.cancelExcept(['b.jpg']);
+
+    const error = await first.catch(caught => caught);
+    assert.strictEqual(ImageLoader.isAbortError(error), true);
+    assert.strictEqual(a.image.src, '');
+    assert.strictEqual(a.image.onload, null);
+
+    b.image.onload();
+    assert.strictEqual(await second, 'b.jpg');
+    assert.strictEqual(ImageLoader.isAbortError(new Error('network')), false);
+});
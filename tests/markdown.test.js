@@ -0,0 +1,69 @@
+/**
+ * Markdown rendering: blocks, inline formatting, links and their allowlisted schemes,
+ * and the plain text and image helpers. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// markdown.js is a classic script that uses the helpers of html.js as globals
+Object.assign(global, require('../assets/js/html.js'));
+const { renderMarkdown, renderInlineMarkdown, markdownToText, markdownImages } = require('../assets/js/markdown.js');
+
+const render = text => String(renderInlineMarkdown(text));
+const renderBlocks = (text, options) => String(renderMarkdown(text, options)).replace(/\s*\n\s*/g, '');
+
+test('headings and paragraphs, with single line breaks kept', () => {
+    assert.strictEqual(renderBlocks('# Title\n\nSome *text*\nline two'), '<h1>Title</h1><p>Some <em>text</em><br>line two</p>');
+    assert.strictEqual(renderBlocks('# Title', { headingOffset: 1 }), '<h2>Title</h2>');
+});
+
+test('lists and quotes', () => {
+    assert.strictEqual(renderBlocks('- a\n* b\n\n1. x\n2) y'), '<ul><li>a</li><li>b</li></ul><ol><li>x</li><li>y</li></ol>');
+    assert.strictEqual(renderBlocks('> **quoted**'), '<blockquote><p><strong>quoted</strong></p></blockquote>');
+});
+
+test('text and code are escaped, code is not formatted', () => {
+    assert.strictEqual(render('<b>`<i>`'), '&lt;b&gt;<code>&lt;i&gt;</code>');
+    assert.strictEqual(renderBlocks('```\n**<x>**\n```'), '<pre><code>**&lt;x&gt;**</code></pre>');
+});
+
+test('underscores inside words are not italic', () => {
+    assert.strictEqual(render('snake_case_name and _this_'), 'snake_case_name and <em>this</em>');
+});
+
+test('only local images on their own line are loaded', () => {
+    assert.strictEqual(
+        renderBlocks('![Shot](images/a.png)', { resolveUrl: src => `../${src}` }),
+        '<figure><img src="../images/a.png" alt="Shot" loading="lazy"><figcaption>Shot</figcaption></figure>'
+    );
+    assert.strictEqual(renderBlocks('![Remote](https://example.com/a.png)'), '<p>Remote</p>');
+    assert.strictEqual(render('see ![inline](images/a.png)'), 'see inline');
+});
+
+test('markdownImages lists local images outside code fences', () => {
+    const text = '![a](images/a.png)\n```\n![b](images/b.png)\n```\n![c](https://example.com/c.png)';
+    assert.deepStrictEqual(markdownImages(text), ['images/a.png']);
+});
+
+test('markdownToText strips formatting onto one line', () => {
+    assert.strictEqual(markdownToText('# Title\n- **bold** and [a link](https://example.com)\n> `code`'), 'Title bold and a link code');
+});
+
+test('external links open in a new tab', () => {
+    assert.strictEqual(
+        render('[Steam](https://store.steampowered.com)'),
+        '<a href="https://store.steampowered.com" target="_blank" rel="noopener noreferrer">Steam</a>'
+    );
+});
+
+test('in-page links stay in the tab', () => {
+    assert.strictEqual(render('[About](#about)'), '<a href="#about">About</a>');
+});
+
+['javascript:alert', 'JavaScript:void+0', 'data:text/html,x'].forEach(url => {
+    test(`a link to ${url} renders as its text`, t => {
+        t.mock.method(console, 'warn', () => {});
+        assert.strictEqual(render(`[click **here**](${url})`), 'click <strong>here</strong>');
+    });
+});
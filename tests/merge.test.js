@@ -0,0 +1,50 @@
+/**
+ * Merging shared data with language overlays. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { deepMerge, mergePortfolio } = require('../assets/js/merge.js');
+
+test('objects merge key by key, the overlay winning', () => {
+    assert.deepStrictEqual(
+        deepMerge({ intro: { name: 'A', avatar: 'a.png' } }, { intro: { name: 'B', location: 'X' } }),
+        { intro: { name: 'B', avatar: 'a.png', location: 'X' } }
+    );
+});
+
+test('entries with an id merge by id, new overlay entries last', () => {
+    const shared = [{ id: 'one', image: 'one' }, { id: 'two', image: 'two' }];
+    const overlay = [{ id: 'two', title: 'Two' }, { id: 'three', title: 'Three' }, { id: 'one', title: 'One' }];
+    assert.deepStrictEqual(deepMerge(shared, overlay), [
+        { id: 'one', image: 'one', title: 'One' },
+        { id: 'two', image: 'two', title: 'Two' },
+        { id: 'three', title: 'Three' }
+    ]);
+});
+
+test('other arrays merge index by index', () => {
+    const shared = [{ url: 'https://a.example', icon: 'steam' }, { url: 'https://b.example' }];
+    const overlay = [{ text: 'Steam' }];
+    assert.deepStrictEqual(deepMerge(shared, overlay), [
+        { url: 'https://a.example', icon: 'steam', text: 'Steam' },
+        { url: 'https://b.example' }
+    ]);
+});
+
+test('scalars and mismatched types are replaced', () => {
+    assert.deepStrictEqual(deepMerge({ tags: ['a', 'b'] }, { tags: 'c' }), { tags: 'c' });
+    assert.strictEqual(deepMerge('a', undefined), 'a');
+});
+
+test('overlays apply in order and leave their inputs untouched', () => {
+    const shared = { about: { title: 'About' } };
+    const english = { about: { content: 'Text' } };
+    const russian = { about: { title: 'Обо мне' } };
+    const result = mergePortfolio(shared, english, russian);
+
+    assert.deepStrictEqual(result, { about: { title: 'Обо мне', content: 'Text' } });
+    result.about.title = 'changed';
+    assert.deepStrictEqual(shared, { about: { title: 'About' } });
+    assert.deepStrictEqual(mergePortfolio(null), {});
+});
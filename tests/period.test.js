@@ -0,0 +1,39 @@
+/**
+ * Period parsing: ranges with spaced and unspaced hyphens count towards the experience total.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePeriod, getTotalMonths } = require('../assets/js/period.js');
+
+const NOW = new Date(2025, 5, 15); // June 2025
+const month = (year, monthIndex) => year * 12 + monthIndex;
+
+test('unspaced hyphen between years is a range', () => {
+    assert.deepStrictEqual(parsePeriod('2020-2023', NOW), { start: month(2020, 0), end: month(2023, 11), ongoing: false });
+});
+
+test('unspaced hyphen before Present is an ongoing range', () => {
+    assert.deepStrictEqual(parsePeriod('2021-Present', NOW), { start: month(2021, 0), end: month(2025, 5), ongoing: true });
+    assert.deepStrictEqual(parsePeriod('Jan 2021-Present', NOW), { start: month(2021, 0), end: month(2025, 5), ongoing: true });
+});
+
+test('unspaced hyphen between months is a range', () => {
+    assert.deepStrictEqual(parsePeriod('Oct 2022-Jun 2025', NOW), { start: month(2022, 9), end: month(2025, 5), ongoing: false });
+    assert.deepStrictEqual(parsePeriod('2024-08-2025-01', NOW), { start: month(2024, 7), end: month(2025, 0), ongoing: false });
+});
+
+test('year-month dates stay one month', () => {
+    assert.deepStrictEqual(parsePeriod('2024-08', NOW), { start: month(2024, 7), end: month(2024, 7), ongoing: false });
+});
+
+test('spaced ranges still parse', () => {
+    assert.deepStrictEqual(parsePeriod('October 2022 - June 2025', NOW), { start: month(2022, 9), end: month(2025, 5), ongoing: false });
+    assert.deepStrictEqual(parsePeriod('Июн 2025 – Ноя 2025', NOW), { start: month(2025, 5), end: month(2025, 10), ongoing: false });
+});
+
+test('unspaced ranges count towards the experience total', () => {
+    const periods = ['2020-2021', '2021-Present'].map(text => parsePeriod(text, NOW));
+    assert.strictEqual(getTotalMonths(periods), getTotalMonths([parsePeriod('2020 - Present', NOW)]));
+});
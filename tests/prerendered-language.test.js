@@ -0,0 +1,29 @@
+/**
+ * A pre-rendered page opened without ?lang (ru/, ru/#projects) stays in its own language
+ * after the client applies the URL. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadManager } = require('../scripts/prerender');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+['ru/', 'ru/#projects'].forEach(url => {
+    test(`${url} keeps the Russian content`, async () => {
+        const template = fs.readFileSync(path.join(ROOT, 'ru', 'index.html'), 'utf8');
+        const { manager, document, context } = await loadManager(template, 'ru', url);
+
+        await manager.applyRoute(context.parseRoute(context.location));
+        assert.strictEqual(manager.currentLanguage, 'ru');
+
+        manager.renderContent();
+        assert.strictEqual(document.getElementById('about-title').textContent, readJson('data/portfolio_ru.json').about.title);
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * Parsing and building shareable URLs. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRoute, formatRoute } = require('../assets/js/router.js');
+
+const url = value => new URL(value, 'https://example.com/');
+
+test('parseRoute reads the language and the hash path', () => {
+    assert.deepStrictEqual(parseRoute(url('/?lang=ru#projects/erz/gallery/2')), {
+        lang: 'ru', section: 'projects', item: 'erz', view: 'gallery', index: 1
+    });
+    assert.deepStrictEqual(parseRoute(url('/')), { lang: null, section: null, item: null, view: null, index: null });
+    assert.deepStrictEqual(parseRoute(url('/#/about')), { lang: null, section: 'about', item: null, view: null, index: null });
+});
+
+test('parseRoute decodes segments and ignores bad positions', () => {
+    assert.strictEqual(parseRoute(url('/#projects/a%20b')).item, 'a b');
+    assert.strictEqual(parseRoute(url('/#projects/%E0%A4%A')).item, '%E0%A4%A');
+    assert.strictEqual(parseRoute(url('/#projects/erz/gallery/0')).index, null);
+    assert.strictEqual(parseRoute(url('/#projects/erz/gallery/x')).index, null);
+});
+
+test('formatRoute keeps other query parameters and stops at the first missing part', () => {
+    const location = url('/portfolio/?view=timeline&lang=en');
+    assert.strictEqual(
+        formatRoute({ lang: 'ru', section: 'projects', item: 'erz', view: 'gallery', index: 0 }, location),
+        '/portfolio/?view=timeline&lang=ru#projects/erz/gallery/1'
+    );
+    assert.strictEqual(formatRoute({ section: 'projects', view: 'gallery' }, location), '/portfolio/?view=timeline#projects');
+    assert.strictEqual(formatRoute({}, url('/')), '/');
+});
+
+test('formatRoute and parseRoute round-trip', () => {
+    const route = { lang: 'en', section: 'jams', item: 'a b/c', view: 'case-study', index: null };
+    assert.deepStrictEqual(parseRoute(url(formatRoute(route, url('/')))), route);
+});
@@ -0,0 +1,31 @@
+/**
+ * ru/index.html loads assets from the site root without a <base> element, so its
+ * section anchors stay on the Russian page. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const page = fs.readFileSync(path.join(ROOT, 'ru', 'index.html'), 'utf8');
+
+test('ru/index.html has no <base> element', () => {
+    assert.doesNotMatch(page, /<base\b/);
+});
+
+test('ru/index.html keeps section anchors on the page', () => {
+    assert.match(page, /href="#about"/);
+});
+
+test('ru/index.html points relative asset URLs at the site root', () => {
+    const urls = [...page.matchAll(/\s(?:src|href)="([^"]+)"/g)].map(match => match[1])
+        .filter(url => !/^([a-z][a-z0-9+.-]*:|[/#?]|index\.html\b)/i.test(url));
+
+    assert.ok(urls.length > 0);
+    urls.forEach(url => {
+        assert.ok(url.startsWith('../'), url);
+        assert.ok(fs.existsSync(path.join(ROOT, 'ru', url.split('?')[0])), url);
+    });
+});
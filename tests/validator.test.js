@@ -0,0 +1,81 @@
+/**
+ * Schema validation of the data files and skipping of invalid entries.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DataValidator = require('../assets/js/validator.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const schema = {
+    type: 'object',
+    required: ['projects'],
+    properties: {
+        projects: { type: 'array', items: { $ref: '#/definitions/project' } }
+    },
+    definitions: {
+        project: {
+            type: 'object',
+            required: ['title'],
+            additionalProperties: false,
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+                icon: { enum: ['steam', 'github'] },
+                tags: { type: 'array', minItems: 1, items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+const format = errors => errors.map(error => `${DataValidator.formatPath(error.path)} ${error.message}`);
+
+test('valid data has no errors', () => {
+    const validator = new DataValidator(schema);
+    assert.deepStrictEqual(validator.validate({ projects: [{ title: 'A', id: 'a-1', icon: 'steam', tags: ['Unity'] }] }), []);
+});
+
+test('errors carry the path of the invalid value', () => {
+    const validator = new DataValidator(schema);
+    const errors = validator.validate({
+        projects: [
+            { title: '' },
+            { id: 'Bad Id', tags: [] },
+            { title: 'C', icon: 'myspace', extra: 1, tags: [2] }
+        ]
+    });
+
+    assert.deepStrictEqual(format(errors), [
+        'projects[0].title must not be empty',
+        'projects[1] is missing required field "title"',
+        'projects[1].id has invalid format: "Bad Id"',
+        'projects[1].tags must have at least 1 item(s)',
+        'projects[2].icon must be one of: steam, github (got "myspace")',
+        'projects[2].extra is not allowed',
+        'projects[2].tags[0] must be string, got integer'
+    ]);
+    assert.deepStrictEqual(format(validator.validate([])), ['(root) must be object, got array']);
+});
+
+test('sanitize drops only the entries with errors', () => {
+    const data = { projects: [{ title: 'A' }, { title: '' }, { title: 'C', icon: 'myspace' }, { title: 'D', tags: ['x', 1] }] };
+    const { data: cleaned, errors, skipped } = new DataValidator(schema).sanitize(data);
+
+    // The innermost entry goes: a bad tag drops the tag, not its project
+    assert.deepStrictEqual(cleaned, { projects: [{ title: 'A' }, { title: 'D', tags: ['x'] }] });
+    assert.strictEqual(errors.length, 3);
+    assert.deepStrictEqual(skipped, ['projects[1]', 'projects[2]', 'projects[3].tags[1]']);
+    assert.strictEqual(data.projects.length, 4);
+});
+
+test('cards need a title and a description, not links', () => {
+    const portfolioSchema = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/schema/portfolio.schema.json'), 'utf8'));
+    const validator = new DataValidator({ ...portfolioSchema, $ref: '#/definitions/card' });
+
+    assert.deepStrictEqual(validator.validate({ title: 'Jam game', description: 'Made in 48 hours' }), []);
+    assert.deepStrictEqual(format(validator.validate({ title: 'Jam game' })), ['(root) is missing required field "description"']);
+});